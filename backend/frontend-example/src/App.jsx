@@ -1,26 +1,135 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
 import { Excalidraw, getSceneVersion } from '@excalidraw/excalidraw';
 import { io } from 'socket.io-client';
+import { getRoomKeyFromHash, importRoomKey, encryptData, decryptData } from './encryption';
 
 const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || `${window.location.protocol}//${window.location.hostname}:5000`;
 const ROOM_ID = window.location.pathname.split('/').pop() || 'default-room';
+// Share links look like /<roomId>?share=<token>
+const SHARE_TOKEN = new URLSearchParams(window.location.search).get('share');
+// Encrypted rooms look like /<roomId>#key=<key>
+const ROOM_KEY = getRoomKeyFromHash();
+
+const filesUrl = (fileId) => `${BACKEND_URL}/api/rooms/${encodeURIComponent(ROOM_ID)}/files/${encodeURIComponent(fileId)}`;
+
+const blobToDataURL = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = reject;
+  reader.readAsDataURL(blob);
+});
+
+// Applies an { added, updated, deleted } diff to a list of elements
+const applyElementDiff = (elements, { added = [], updated = [], deleted = [] }) => {
+  const removed = new Set(deleted);
+  const changes = new Map([...updated, ...added].map(el => [el.id, el]));
+
+  const next = elements
+    .filter(el => !removed.has(el.id))
+    .map((el) => {
+      const change = changes.get(el.id);
+      if (!change) return el;
+      changes.delete(el.id);
+      return { ...el, ...change };
+    });
+  return [...next, ...changes.values()];
+};
+
+// What changed in `elements` since the versions last synced with the server
+const diffAgainstSynced = (elements, synced) => {
+  const present = new Set(elements.map(el => el.id));
+  return {
+    added: elements.filter(el => !synced.has(el.id)),
+    updated: elements.filter(el => synced.has(el.id) && synced.get(el.id) !== el.version),
+    deleted: [...synced.keys()].filter(id => !present.has(id))
+  };
+};
+
+const isEmptyDiff = ({ added, updated, deleted }) => !added.length && !updated.length && !deleted.length;
+
+const markSynced = (synced, elements) => {
+  (elements || []).forEach(el => synced.set(el.id, el.version));
+};
+
+// Mutations carry an opId, so resending one after an ack timeout is safe:
+// the server applies it once and acks replays with the first result
+const emitMutation = async (socket, event, payload, { retries = 3, timeoutMs = 5000 } = {}) => {
+  const opId = crypto.randomUUID();
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await socket.timeout(timeoutMs).emitWithAck(event, { ...payload, opId });
+    } catch (err) {
+      if (attempt >= retries) throw err;
+      console.warn(`${event} ${opId} not acknowledged, resending`);
+    }
+  }
+};
 
 const generateUsername = () => `User_${Math.floor(Math.random() * 1000)}`;
 const generateColor = () => `#${Math.floor(Math.random()*16777215).toString(16).padStart(6, '0')}`;
 
+const DEVICE_ID_KEY = 'horizon-device-id';
+
+const authHeaders = (user) => (user?.token ? { Authorization: `Bearer ${user.token}` } : {});
+
+// Same user on every visit: the server knows this browser by the device id kept
+// in localStorage. Without it (guests disabled, server unreachable) a throwaway
+// name and color are used instead.
+const identifyDevice = async () => {
+  try {
+    const res = await fetch(`${BACKEND_URL}/api/auth/device`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      // The name is only used when the device is new
+      body: JSON.stringify({ deviceId: localStorage.getItem(DEVICE_ID_KEY) || undefined, name: generateUsername() })
+    });
+    if (!res.ok) throw new Error(`identity request failed (${res.status})`);
+
+    const { data } = await res.json();
+    localStorage.setItem(DEVICE_ID_KEY, data.deviceId);
+    return { id: data.user.id, username: data.user.name, color: data.user.color, token: data.token };
+  } catch (err) {
+    console.warn('no persistent identity:', err.message);
+    return { id: null, username: generateUsername(), color: generateColor(), token: null };
+  }
+};
+
 function App() {
   const [excalidrawAPI, setExcalidrawAPI] = useState(null);
   const [socket, setSocket] = useState(null);
   const [connectionStatus, setConnectionStatus] = useState('connecting');
   const [users, setUsers] = useState([]);
-  const [currentUser] = useState({ username: generateUsername(), color: generateColor() });
+  const [role, setRole] = useState(null);
+  const [roomKey, setRoomKey] = useState(null);
+  const [currentUser, setCurrentUser] = useState(null);
   
   const isInitialized = useRef(false);
+  // Our user id in the room, other tabs of the same user aren't shown as collaborators
+  const selfId = useRef(null);
   const lastSceneVersion = useRef(0);
+  // Server room version we're in sync with, sent as lastVersion when rejoining
+  const roomVersion = useRef(null);
+  // Edits made while disconnected are sent when the socket is back
+  const offlineSince = useRef(null);
   const updateTimeout = useRef(null);
+  // Element id -> version the server is known to have, local changes are diffed against it
+  const syncedVersions = useRef(new Map());
+  // appState isn't part of incremental updates, a background change goes out as a full scene
+  const syncedBackground = useRef(null);
+  // Images go through the files api once, scene updates only carry their ids
+  const uploadedFiles = useRef(new Set());
+  const requestedFiles = useRef(new Set());
+
+  useEffect(() => {
+    identifyDevice().then(setCurrentUser);
+  }, []);
 
   useEffect(() => {
-    const newSocket = io(BACKEND_URL, { transports: ['websocket', 'polling'] });
+    if (!currentUser) return;
+    const newSocket = io(BACKEND_URL, {
+      transports: ['websocket', 'polling'],
+      auth: currentUser.token ? { token: currentUser.token } : undefined
+    });
 
     newSocket.on('connect', () => {
       console.log('socket connected:', newSocket.id);
@@ -33,14 +142,135 @@ function App() {
       setConnectionStatus('error');
     });
 
-    newSocket.on('disconnect', () => setConnectionStatus('disconnected'));
+    newSocket.on('disconnect', () => {
+      setConnectionStatus('disconnected');
+      if (!offlineSince.current) offlineSince.current = Date.now();
+    });
     
     setSocket(newSocket);
     return () => newSocket.close();
   }, [currentUser]);
 
+  useEffect(() => {
+    if (!ROOM_KEY) return;
+    importRoomKey(ROOM_KEY)
+      .then(setRoomKey)
+      .catch((err) => console.error('invalid room key:', err.message));
+  }, []);
+
+  const uploadFiles = useCallback((files) => {
+    Object.values(files || {}).forEach(async (file) => {
+      if (!file?.dataURL || uploadedFiles.current.has(file.id)) return;
+      uploadedFiles.current.add(file.id);
+
+      try {
+        // In encrypted rooms the server only gets an opaque blob
+        const body = roomKey
+          ? {
+            dataURL: `data:application/octet-stream;base64,${btoa(JSON.stringify(await encryptData(roomKey, file)))}`,
+            mimeType: 'application/octet-stream'
+          }
+          : { dataURL: file.dataURL, mimeType: file.mimeType };
+
+        const res = await fetch(filesUrl(file.id), {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', ...authHeaders(currentUser) },
+          body: JSON.stringify({ ...body, created: file.created })
+        });
+        if (!res.ok) throw new Error(`upload failed (${res.status})`);
+      } catch (err) {
+        console.error(`file ${file.id}:`, err.message);
+        uploadedFiles.current.delete(file.id);
+      }
+    });
+  }, [roomKey, currentUser]);
+
+  const fetchMissingFiles = useCallback((elements) => {
+    if (!excalidrawAPI) return;
+    const loaded = excalidrawAPI.getFiles();
+
+    (elements || []).forEach(async (el) => {
+      if (el.type !== 'image' || !el.fileId || el.isDeleted) return;
+      if (loaded[el.fileId] || requestedFiles.current.has(el.fileId)) return;
+      requestedFiles.current.add(el.fileId);
+
+      try {
+        const res = await fetch(filesUrl(el.fileId), { headers: authHeaders(currentUser) });
+        if (!res.ok) throw new Error(`download failed (${res.status})`);
+        const file = roomKey
+          ? await decryptData(roomKey, JSON.parse(await res.text()))
+          : await res.blob().then(async (blob) => ({ mimeType: blob.type, dataURL: await blobToDataURL(blob) }));
+
+        uploadedFiles.current.add(el.fileId);
+        excalidrawAPI.addFiles([{
+          id: el.fileId,
+          mimeType: file.mimeType,
+          dataURL: file.dataURL,
+          created: file.created || Date.now()
+        }]);
+      } catch (err) {
+        // Retried when the file shows up (file-added) or the element comes again
+        console.error(`file ${el.fileId}:`, err.message);
+        requestedFiles.current.delete(el.fileId);
+      }
+    });
+  }, [excalidrawAPI, roomKey, currentUser]);
+
+  const isViewer = role === 'viewer';
+
+  // Resolves with the server ack ({ ok, version } or { ok: false, error }), null when none came
+  const sendMutation = useCallback(async (event, payload) => {
+    if (!socket) return null;
+    try {
+      const ack = await emitMutation(socket, event, payload);
+      if (!ack.ok) console.error(`${event} failed (${ack.error.code}):`, ack.error.message);
+      return ack;
+    } catch (err) {
+      console.error(`${event} not acknowledged:`, err.message);
+      return null;
+    }
+  }, [socket]);
+
+  // Plain rooms send the scene as-is, encrypted rooms send it as one blob
+  const emitScene = useCallback(async (elements, appState) => (
+    sendMutation('scene-update', roomKey
+      ? { encrypted: await encryptData(roomKey, { elements, appState }) }
+      : { elements, appState })
+  ), [sendMutation, roomKey]);
+
+  const emitDiff = useCallback(async (diff) => (
+    sendMutation('incremental-update', roomKey ? { encrypted: await encryptData(roomKey, diff) } : diff)
+  ), [sendMutation, roomKey]);
+
+  // Sends what the server hasn't seen yet, a full scene only when the background changed
+  const pushLocalChanges = useCallback((elements, appState) => {
+    if (!excalidrawAPI) return;
+    if (appState && appState.viewBackgroundColor !== syncedBackground.current) {
+      syncedBackground.current = appState.viewBackgroundColor;
+      markSynced(syncedVersions.current, elements);
+      emitScene(elements, appState);
+      return;
+    }
+
+    const diff = diffAgainstSynced(elements, syncedVersions.current);
+    if (isEmptyDiff(diff)) return;
+
+    markSynced(syncedVersions.current, [...diff.added, ...diff.updated]);
+    diff.deleted.forEach(id => syncedVersions.current.delete(id));
+    emitDiff(diff).then((ack) => {
+      if (ack?.ok) return;
+      // The server may or may not have the diff (or wants a full encrypted scene),
+      // a full scene is merged per element so it's safe either way
+      emitScene(excalidrawAPI.getSceneElementsIncludingDeleted(), {
+        viewBackgroundColor: excalidrawAPI.getAppState().viewBackgroundColor
+      });
+    });
+  }, [excalidrawAPI, emitScene, emitDiff]);
+
   useEffect(() => {
     if (!socket || !excalidrawAPI) return;
+    // Encrypted rooms wait for the key before joining
+    if (ROOM_KEY && !roomKey) return;
 
     const applyUpdate = (elements, appState, files, source) => {
       const remoteVersion = getSceneVersion(elements || []);
@@ -61,54 +291,235 @@ function App() {
           zoom: { value: safeZoom } 
         }
       });
-      if (files) excalidrawAPI.addFiles(Object.values(files));
+      fetchMissingFiles(elements);
+    };
+
+    // Elements changed locally since the socket dropped
+    const takeOfflineEdits = () => {
+      if (!offlineSince.current) return [];
+      const since = offlineSince.current;
+      offlineSince.current = null;
+      return excalidrawAPI.getSceneElementsIncludingDeleted().filter(el => el.updated >= since);
+    };
+
+    const trackVersion = (data) => {
+      if (Number.isInteger(data?.version)) roomVersion.current = data.version;
+    };
+
+    // A full scene from the server is the new baseline for diffs
+    const resetSynced = (elements, appState) => {
+      syncedVersions.current = new Map((elements || []).map(el => [el.id, el.version]));
+      syncedBackground.current = appState?.viewBackgroundColor ?? excalidrawAPI.getAppState().viewBackgroundColor;
     };
 
-    socket.on('scene-init', (data) => {
+    // Merges a remote diff, local edits not synced yet win over older remote versions.
+    // Returns false when the diff doesn't fit our scene.
+    const mergeDiff = (diff) => {
+      const local = excalidrawAPI.getSceneElementsIncludingDeleted();
+      const localById = new Map(local.map(el => [el.id, el]));
+      const changes = [...(diff.added || []), ...(diff.updated || [])];
+
+      // Partial update of an element we never got, we missed something
+      if (changes.some(el => !localById.has(el.id) && !el.type)) return false;
+
+      const isNewer = (el) => !localById.has(el.id)
+        || !Number.isInteger(el.version)
+        || el.version >= localById.get(el.id).version;
+      const elements = applyElementDiff(local, {
+        added: (diff.added || []).filter(isNewer),
+        updated: (diff.updated || []).filter(isNewer),
+        deleted: diff.deleted
+      });
+
+      const nextById = new Map(elements.map(el => [el.id, el]));
+      changes.forEach((el) => {
+        syncedVersions.current.set(el.id, isNewer(el) ? nextById.get(el.id).version : el.version);
+      });
+      (diff.deleted || []).forEach(id => syncedVersions.current.delete(id));
+
+      lastSceneVersion.current = getSceneVersion(elements);
+      excalidrawAPI.updateScene({ elements });
+      fetchMissingFiles(changes);
+      return true;
+    };
+
+    socket.on('scene-init', async (data) => {
       console.log('scene-init received');
-      applyUpdate(data.elements, data.appState, data.files, 'INIT');
+      trackVersion(data);
+      if (data.encrypted) {
+        try {
+          // Last full scene, then the updates sent since, in order
+          const scene = data.scene ? await decryptData(roomKey, data.scene) : { elements: [], appState: {} };
+          for (const update of data.updates || []) {
+            scene.elements = applyElementDiff(scene.elements, await decryptData(roomKey, update));
+          }
+          applyUpdate(scene.elements, scene.appState, data.files, 'INIT');
+          resetSynced(scene.elements, scene.appState);
+        } catch (err) {
+          console.error('could not decrypt scene, wrong room key?', err.message);
+        }
+      } else {
+        applyUpdate(data.elements, data.appState, data.files, 'INIT');
+        resetSynced(data.elements, data.appState);
+      }
       isInitialized.current = true;
-      if (data.users) setUsers(data.users.filter(u => u.socketId !== socket.id));
+      if (data.role) setRole(data.role);
+      if (data.userId) selfId.current = data.userId;
+      if (data.users) setUsers(data.users.filter(u => u.userId !== selfId.current));
     });
     
-   socket.on('scene-update', (data) => {
+    // Rejoined with lastVersion: only what changed since then
+    socket.on('scene-resume', (data) => {
+      console.log(`scene-resume from v${data.fromVersion} to v${data.version}`);
+      trackVersion(data);
+      mergeDiff({ updated: data.elements, deleted: data.deleted });
+
+      isInitialized.current = true;
+      if (data.role) setRole(data.role);
+      if (data.userId) selfId.current = data.userId;
+      if (data.users) setUsers(data.users.filter(u => u.userId !== selfId.current));
+    });
+
+   socket.on('scene-update', async (data) => {
+      trackVersion(data);
+      if (data.encrypted) {
+        try {
+          const scene = await decryptData(roomKey, data.encrypted);
+          applyUpdate(scene.elements, scene.appState, data.files, 'UPDATE');
+          markSynced(syncedVersions.current, scene.elements);
+        } catch (err) {
+          console.error('could not decrypt scene update:', err.message);
+        }
+        return;
+      }
       applyUpdate(data.elements, data.appState, data.files, 'UPDATE');
+      markSynced(syncedVersions.current, data.elements);
     });
 
-    socket.on('pointer-update', (data) => {
+    socket.on('incremental-update', async (data) => {
+      trackVersion(data);
+      let diff = data;
+      if (data.encrypted) {
+        try {
+          diff = await decryptData(roomKey, data.encrypted);
+        } catch (err) {
+          console.error('could not decrypt incremental update:', err.message);
+          return;
+        }
+      }
+      if (!mergeDiff(diff)) resync();
+    });
+
+    // Someone else holds the claim, take back the server's version of those elements
+    socket.on('update-rejected', (data) => {
+      console.log(`update rejected (${data.reason}):`, data.elementIds);
+      const server = new Map((data.elements || []).map(el => [el.id, el]));
+      const elements = excalidrawAPI.getSceneElementsIncludingDeleted()
+        .map(el => server.get(el.id) || el);
+      markSynced(syncedVersions.current, data.elements);
+      lastSceneVersion.current = getSceneVersion(elements);
+      excalidrawAPI.updateScene({ elements });
+    });
+
+    // Mutations get their errors in the ack, this is for the rest (join-room, ...)
+    socket.on('error', (err) => {
+      console.error(`server error ${err.code}:`, err.message);
+    });
+
+    // Collaborators are users, a user with several tabs shows up once
+    const updateCollaborator = (userId, changes) => {
+      if (!userId || userId === selfId.current) return;
       const collaborators = new Map(excalidrawAPI.getAppState().collaborators);
-      collaborators.set(data.socketId, {
+      collaborators.set(userId, { ...collaborators.get(userId), ...changes });
+      excalidrawAPI.updateScene({ collaborators });
+    };
+
+    socket.on('pointer-update', (data) => {
+      updateCollaborator(data.userId, {
         pointer: data.pointer,
         button: data.pointer.button || 'up',
         username: data.username ||'Friend',
-        color: data.color || '#ccc'
+        color: { background: data.color || '#ccc', stroke: data.color || '#ccc' }
+      });
+    });
+
+    socket.on('selection-update', (data) => {
+      updateCollaborator(data.userId, {
+        username: data.username,
+        selectedElementIds: Object.fromEntries(data.selectedElementIds.map(id => [id, true]))
       });
-      excalidrawAPI.updateScene({ collaborators });
+    });
+
+    socket.on('idle-status', (data) => {
+      updateCollaborator(data.userId, { userState: data.idle ? 'idle' : 'active' });
+    });
+
+    socket.on('file-added', () => {
+      fetchMissingFiles(excalidrawAPI.getSceneElements());
     });
 
     socket.on('user-joined', (data) => {
       console.log('user-joined:', data.username);
-      setUsers(prev => [...prev.filter(u => u.socketId !== data.socketId), data]);
+      if (data.userId === selfId.current) return;
+      setUsers(prev => [...prev.filter(u => u.userId !== data.userId), data]);
     });
 
     socket.on('user-left', (data) => {
-      console.log('user-left:', data.socketId);
-      setUsers(prev => prev.filter(u => u.socketId !== data.socketId));
+      console.log('user-left:', data.userId);
+      setUsers(prev => prev.filter(u => u.userId !== data.userId));
+      const collaborators = new Map(excalidrawAPI.getAppState().collaborators);
+      if (collaborators.delete(data.userId)) excalidrawAPI.updateScene({ collaborators });
     });
+    const joinRoom = (pendingElements = takeOfflineEdits()) => {
+      console.log('emitting join-room for:', ROOM_ID);
+      // Encrypted rooms can't be caught up by the server, they reload the scene
+      const resume = isInitialized.current && !ROOM_KEY
+        ? { lastVersion: roomVersion.current ?? undefined, pendingElements }
+        : {};
+      if (resume.pendingElements) markSynced(syncedVersions.current, pendingElements);
+      socket.emit('join-room', { roomId: ROOM_ID, user: currentUser, shareToken: SHARE_TOKEN, encrypted: !!ROOM_KEY, ...resume });
+    };
+
+    // Lost track of the server scene: rejoin to catch up, sending what we haven't synced yet
+    const resync = () => {
+      console.warn('scene out of sync, resyncing');
+      const elements = excalidrawAPI.getSceneElementsIncludingDeleted();
+      joinRoom(elements.filter(el => syncedVersions.current.get(el.id) !== el.version));
+    };
+
+    // A recovered socket is still in the room and gets the missed events replayed,
+    // otherwise rejoin and catch up from the last known version
+    const onConnect = () => {
+      if (!socket.recovered) {
+        joinRoom();
+        return;
+      }
+      offlineSince.current = null;
+      pushLocalChanges(excalidrawAPI.getSceneElementsIncludingDeleted(), {
+        viewBackgroundColor: excalidrawAPI.getAppState().viewBackgroundColor
+      });
+    };
+    socket.on('connect', onConnect);
+
     // Join room AFTER listeners are attached
-    console.log('emitting join-room for:', ROOM_ID);
-    socket.emit('join-room', { roomId: ROOM_ID, user: currentUser });
+    if (socket.connected) joinRoom();
 
     return () => {
+      socket.off('connect', onConnect);
       socket.off('scene-init');
+      socket.off('scene-resume');
       socket.off('scene-update');
+      socket.off('incremental-update');
+      socket.off('update-rejected');
+      socket.off('error');
       socket.off('pointer-update');
+      socket.off('selection-update');
+      socket.off('idle-status');
+      socket.off('file-added');
       socket.off('user-joined');
       socket.off('user-left');
     };
-  }, [socket, excalidrawAPI]);
-
-  const lastEmittedVersion = useRef(-1);
+  }, [socket, excalidrawAPI, fetchMissingFiles, roomKey, pushLocalChanges]);
 
   const handleChange = useCallback((elements, appState, files) => {
     if (!elements) return;
@@ -121,54 +532,46 @@ function App() {
       return;
     }
 
+    // Viewers can't edit, the server would reject the update anyway
+    if (isViewer) return;
+
+    // Offline edits stay local and go out when the socket is back
+    if (!socket.connected) return;
+
     // Debounce
     if (updateTimeout.current) clearTimeout(updateTimeout.current);
 
     updateTimeout.current = setTimeout(() => {
-      // Version check inside timeout to ensure we don't send old states
-      if (currentVersion <= lastEmittedVersion.current) {
-        console.log(`[DEBUG] Skipping emit (v${currentVersion} <= v${lastEmittedVersion.current})`);
-        return;
-      }
-
-      console.log(`📤 [DEBUG] EMITTING v${currentVersion} (${elements.length} elements)`);
-      lastEmittedVersion.current = currentVersion;
       lastSceneVersion.current = currentVersion;
 
       const zoomValue = typeof appState.zoom === 'object' ? appState.zoom.value : appState.zoom;
       const safeZoom = (isNaN(zoomValue) || zoomValue <= 0) ? 1 : zoomValue;
 
-      socket.emit('scene-update', {
-        elements: elements,
-        appState: {
-          viewBackgroundColor: appState.viewBackgroundColor,
-          scrollX: isNaN(appState.scrollX) ? 0 : appState.scrollX,
-          scrollY: isNaN(appState.scrollY) ? 0 : appState.scrollY,
-          zoom: { value: safeZoom }
-        },
-        files: files || {}
-      }, (ack) => {
-        console.log(`[DEBUG] Server acknowledged emission:`, ack);
+      // Images go through the files api, updates only carry their ids
+      uploadFiles(files);
+      pushLocalChanges(elements, {
+        viewBackgroundColor: appState.viewBackgroundColor,
+        scrollX: isNaN(appState.scrollX) ? 0 : appState.scrollX,
+        scrollY: isNaN(appState.scrollY) ? 0 : appState.scrollY,
+        zoom: { value: safeZoom }
       });
     }, 200);
-  }, [socket]);
+  }, [socket, isViewer, uploadFiles, pushLocalChanges]);
 
   const forceSync = () => {
-    if (!excalidrawAPI || !socket) return;
+    if (!excalidrawAPI || !socket || isViewer) return;
     const elements = excalidrawAPI.getSceneElements();
     const appState = excalidrawAPI.getAppState();
     const files = excalidrawAPI.getFiles();
     
     console.log(' [DEBUG] FORCE SYNC TRIGGERED');
-    socket.emit('scene-update', {
-      elements,
-      appState: {
-        viewBackgroundColor: appState.viewBackgroundColor,
-        scrollX: appState.scrollX,
-        scrollY: appState.scrollY,
-        zoom: appState.zoom
-      },
-      files
+    uploadFiles(files);
+    markSynced(syncedVersions.current, elements);
+    emitScene(elements, {
+      viewBackgroundColor: appState.viewBackgroundColor,
+      scrollX: appState.scrollX,
+      scrollY: appState.scrollY,
+      zoom: appState.zoom
     });
   };
 
@@ -190,9 +593,9 @@ function App() {
         <div className="connection-status" style={{ pointerEvents: 'auto', display: 'flex', gap: '10px', alignItems: 'center' }}>
           <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
             <span className={`status-indicator ${connectionStatus}`}></span>
-            <span>{connectionStatus === 'connected' ? 'Live Sync' : 'Connecting...'}</span>
+            <span>{connectionStatus === 'connected' ? (isViewer ? 'View Only' : 'Live Sync') : 'Connecting...'}</span>
           </div>
-          <button 
+          {!isViewer && <button 
             onClick={forceSync}
             style={{ 
               background: '#4c6ef5', 
@@ -205,14 +608,14 @@ function App() {
             }}
           >
             Force Sync
-          </button>
+          </button>}
         </div>
 
         {users.length > 0 && (
           <div className="users-list" style={{ pointerEvents: 'auto' }}>
             <div className="users-title">Friends ({users.length})</div>
             {users.map(user => (
-              <div key={user.socketId} className="user-item">
+              <div key={user.userId} className="user-item">
                 <div className="user-color" style={{ backgroundColor: user.color || '#ccc' }} />
                 <span>{user.username}</span>
               </div>
@@ -226,6 +629,7 @@ function App() {
           excalidrawAPI={(api) => setExcalidrawAPI(api)}
           onChange={handleChange}
           onPointerUpdate={handlePointerUpdate}
+          viewModeEnabled={isViewer}
           UIOptions={{
             canvasActions: {
               loadScene: false,
@@ -240,8 +644,3 @@ function App() {
 }
 
 export default App;
-
-
-
-
-
@@ -0,0 +1,42 @@
+// End-to-end encryption for rooms opened as /<roomId>#key=<key>. The fragment
+// never reaches the server, which only stores and relays { ciphertext, iv }.
+
+const toBase64 = (buffer) => {
+  let binary = '';
+  new Uint8Array(buffer).forEach((byte) => { binary += String.fromCharCode(byte); });
+  return btoa(binary);
+};
+
+const fromBase64 = (base64) => Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+
+export const getRoomKeyFromHash = () => new URLSearchParams(window.location.hash.slice(1)).get('key');
+
+// Same key format as Excalidraw: the `k` of an AES-GCM 128 JWK
+export const generateRoomKey = async () => {
+  const key = await window.crypto.subtle.generateKey({ name: 'AES-GCM', length: 128 }, true, ['encrypt', 'decrypt']);
+  return (await window.crypto.subtle.exportKey('jwk', key)).k;
+};
+
+export const importRoomKey = (k) => window.crypto.subtle.importKey(
+  'jwk',
+  { alg: 'A128GCM', ext: true, k, key_ops: ['encrypt', 'decrypt'], kty: 'oct' },
+  { name: 'AES-GCM', length: 128 },
+  false,
+  ['encrypt', 'decrypt']
+);
+
+export const encryptData = async (key, data) => {
+  const iv = window.crypto.getRandomValues(new Uint8Array(12));
+  const encoded = new TextEncoder().encode(JSON.stringify(data));
+  const ciphertext = await window.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encoded);
+  return { ciphertext: toBase64(ciphertext), iv: toBase64(iv) };
+};
+
+export const decryptData = async (key, { ciphertext, iv }) => {
+  const decrypted = await window.crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(iv) },
+    key,
+    fromBase64(ciphertext)
+  );
+  return JSON.parse(new TextDecoder().decode(decrypted));
+};
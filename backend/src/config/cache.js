@@ -4,6 +4,7 @@ class CacheManager {
   constructor() {
     this.client = null;
     this.isEnabled = false;
+    this.duplicates = []; // extra connections for pub/sub, closed on disconnect
   }
 
   async connect(redisUrl, enabled = false) {
@@ -92,6 +93,46 @@ class CacheManager {
     }
   }
 
+  // Hash helpers, one field per entry, the whole key expires after `expirationSeconds`
+  async hSet(key, field, value, expirationSeconds = 60) {
+    if (!this.isEnabled || !this.client) return false;
+
+    try {
+      await this.client.multi()
+        .hSet(key, field, JSON.stringify(value))
+        .expire(key, expirationSeconds)
+        .exec();
+      return true;
+    } catch (error) {
+      console.error('Redis HSET error:', error);
+      return false;
+    }
+  }
+
+  async hGetAll(key) {
+    if (!this.isEnabled || !this.client) return null;
+
+    try {
+      const data = await this.client.hGetAll(key);
+      return Object.fromEntries(Object.entries(data).map(([field, value]) => [field, JSON.parse(value)]));
+    } catch (error) {
+      console.error('Redis HGETALL error:', error);
+      return null;
+    }
+  }
+
+  async hDel(key, field) {
+    if (!this.isEnabled || !this.client) return false;
+
+    try {
+      await this.client.hDel(key, field);
+      return true;
+    } catch (error) {
+      console.error('Redis HDEL error:', error);
+      return false;
+    }
+  }
+
   async publish(channel, message) {
     if (!this.isEnabled || !this.client) return false;
     
@@ -110,6 +151,7 @@ class CacheManager {
     try {
       const subscriber = this.client.duplicate();
       await subscriber.connect();
+      this.duplicates.push(subscriber);
       
       await subscriber.subscribe(channel, (message) => {
         try {
@@ -126,7 +168,29 @@ class CacheManager {
     }
   }
 
+  // Dedicated pub/sub connections for the Socket.IO redis adapter
+  async createAdapterClients() {
+    if (!this.isEnabled || !this.client) return null;
+
+    try {
+      const pubClient = this.client.duplicate();
+      const subClient = this.client.duplicate();
+      await Promise.all([pubClient.connect(), subClient.connect()]);
+      this.duplicates.push(pubClient, subClient);
+
+      return { pubClient, subClient };
+    } catch (error) {
+      console.error('redis adapter clients error:', error);
+      return null;
+    }
+  }
+
   async disconnect() {
+    for (const duplicate of this.duplicates) {
+      await duplicate.quit().catch(() => {});
+    }
+    this.duplicates = [];
+
     if (this.client) {
       await this.client.quit();
       console.log('redis disconnected');
@@ -0,0 +1,135 @@
+import authService, { hasRole } from '../services/authService.js';
+import roomService from '../services/roomService.js';
+import webhookService from '../services/webhookService.js';
+import { validate, roomIdSchema } from '../utils/validation.js';
+import { sendError } from '../utils/errors.js';
+
+const bearerToken = (header) => {
+  if (!header || !header.startsWith('Bearer ')) return null;
+  return header.slice('Bearer '.length).trim();
+};
+
+// Express: resolves req.user from the Authorization header
+export const authenticate = async (req, res, next) => {
+  try {
+    req.user = await authService.verify(bearerToken(req.headers.authorization));
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid or expired token',
+      code: 'UNAUTHORIZED'
+    });
+  }
+
+  if (!req.user && authService.isEnabled) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required',
+      code: 'UNAUTHORIZED'
+    });
+  }
+  next();
+};
+
+// Express: loads :roomId and rejects callers below the given role, an
+// X-Share-Token header joins with the share link's role
+export const requireRoomRole = (required, { includeTrashed = false } = {}) => async (req, res, next) => {
+  try {
+    const { roomId } = validate(roomIdSchema, { roomId: req.params.roomId });
+    const room = await roomService.getRoom(roomId, false, { includeTrashed });
+
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        error: 'Room not found',
+        code: 'ROOM_NOT_FOUND'
+      });
+    }
+
+    const shareToken = req.headers['x-share-token'];
+    const shareRole = authService.resolveShareRole(room, shareToken);
+    if (shareToken && !shareRole) {
+      return res.status(403).json({
+        success: false,
+        error: 'Invalid or revoked share link',
+        code: 'INVALID_SHARE_LINK'
+      });
+    }
+
+    const role = authService.resolveRoomRole(room, req.user, shareRole);
+    if (!hasRole(role, required)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Insufficient room permissions',
+        code: 'FORBIDDEN'
+      });
+    }
+
+    req.room = room;
+    req.roomRole = role;
+    next();
+  } catch (error) {
+    console.error('Error checking room access:', error);
+    sendError(res, error);
+  }
+};
+
+const forbidden = (res, error) => res.status(403).json({
+  success: false,
+  error,
+  code: 'FORBIDDEN'
+});
+
+// Express: server wide endpoints, callers need the X-Admin-Token header when auth is enabled
+export const requireAdmin = (req, res, next) => {
+  if (!authService.isAdmin(req.headers['x-admin-token'])) {
+    return forbidden(res, 'Admin token required');
+  }
+  next();
+};
+
+// Express: loads :webhookId, room webhooks are managed by the room's owner,
+// global ones by admins
+export const requireWebhookAccess = async (req, res, next) => {
+  try {
+    const webhook = await webhookService.getWebhook(req.params.webhookId);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found',
+        code: 'WEBHOOK_NOT_FOUND'
+      });
+    }
+
+    if (webhook.roomId) {
+      const room = await roomService.getRoom(webhook.roomId, false, { includeTrashed: true });
+      if (!room || !hasRole(authService.resolveRoomRole(room, req.user), 'owner')) {
+        return forbidden(res, 'Insufficient room permissions');
+      }
+    } else if (!authService.isAdmin(req.headers['x-admin-token'])) {
+      return forbidden(res, 'Admin token required');
+    }
+
+    req.webhook = webhook;
+    next();
+  } catch (error) {
+    console.error('Error checking webhook access:', error);
+    sendError(res, error);
+  }
+};
+
+// Socket.IO: resolves socket.data.user from the handshake token
+export const socketAuth = async (socket, next) => {
+  const token = socket.handshake.auth?.token || bearerToken(socket.handshake.headers?.authorization);
+
+  try {
+    socket.data.user = await authService.verify(token);
+  } catch (error) {
+    return next(new Error('Invalid or expired token'));
+  }
+
+  if (!socket.data.user && authService.isEnabled) {
+    return next(new Error('Authentication required'));
+  }
+  next();
+};
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { reconcileDiff } from '../utils/reconcile.js';
 
 const elementSchema = new mongoose.Schema({
   id: { type: String, required: true },
@@ -72,8 +73,18 @@ const appStateSchema = new mongoose.Schema({
   name: String
 }, { _id: false, strict: false });
 
-const userSchema = new mongoose.Schema({
+// One per open tab of a user
+const connectionSchema = new mongoose.Schema({
   socketId: { type: String, required: true },
+  // Backend node holding the socket, lets the presence sweeper spot users of dead nodes
+  nodeId: { type: String, default: null },
+  connectedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Active users are keyed by user id (the socket id for sockets without an identity)
+const userSchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  connections: [connectionSchema],
 
   username: { type: String, default: 'Anonymous' },
   color: { type: String, required: true },
@@ -82,9 +93,24 @@ const userSchema = new mongoose.Schema({
     y: { type: Number, default: 0 }
   },
   selectedElementIds: [String],
+  // Elements this user edits exclusively, others' updates to them are rejected
+  claimedElementIds: [String],
   lastActive: { type: Date, default: Date.now }
 }, { _id: false });
 
+const memberSchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  role: { type: String, enum: ['viewer', 'editor'], default: 'editor' }
+}, { _id: false });
+
+const shareLinkSchema = new mongoose.Schema({
+  linkId: { type: String, required: true },
+  role: { type: String, enum: ['viewer', 'editor'], required: true },
+  createdBy: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now },
+  revoked: { type: Boolean, default: false }
+}, { _id: false });
+
 const roomSchema = new mongoose.Schema({
   roomId: {
     type: String,
@@ -103,6 +129,30 @@ const roomSchema = new mongoose.Schema({
     default: () => new Map()
   },
   activeUsers: [userSchema],
+  // Excalidraw library items (.excalidrawlib) imported into the room
+  libraryItems: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  // End-to-end encrypted rooms only hold opaque { ciphertext, iv } blobs:
+  // the last full scene and the incremental updates sent since
+  encrypted: { type: Boolean, default: false },
+  encryptedScene: { type: mongoose.Schema.Types.Mixed, default: null },
+  encryptedUpdates: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  ownerId: { type: String, default: null, index: true },
+  // Metadata for finding boards (GET /api/rooms)
+  title: { type: String, default: '' },
+  description: { type: String, default: '' },
+  tags: { type: [String], default: [], index: true },
+  // Scene name and text element contents, kept up to date on save for the text index
+  searchText: { type: String, default: '' },
+  // Templates are listed by GET /api/templates and readable by everyone
+  isTemplate: { type: Boolean, default: false, index: true },
+  templateName: { type: String, default: null },
+  // Retention: idle rooms are archived, then trashed, then purged. Pinned rooms never expire.
+  status: { type: String, enum: ['active', 'archived', 'trashed'], default: 'active', index: true },
+  pinned: { type: Boolean, default: false },
+  archivedAt: { type: Date, default: null },
+  deletedAt: { type: Date, default: null },
+  members: [memberSchema],
+  shareLinks: [shareLinkSchema],
   version: {
     type: Number,
     default: 1
@@ -114,8 +164,7 @@ const roomSchema = new mongoose.Schema({
   },
   createdAt: {
     type: Date,
-    default: Date.now,
-    expires: 604800 // Auto-delete after 7 days of creation
+    default: Date.now
   }
 }, {
   timestamps: true,
@@ -123,32 +172,59 @@ const roomSchema = new mongoose.Schema({
 });
 
 // Indexes for performance
-roomSchema.index({ 'activeUsers.socketId': 1 });
+roomSchema.index({ 'activeUsers.connections.socketId': 1 });
+roomSchema.index(
+  { title: 'text', tags: 'text', description: 'text', searchText: 'text' },
+  { name: 'room_search', weights: { title: 10, tags: 5, description: 2, searchText: 1 } }
+);
 
 
 // Methods
-roomSchema.methods.addUser = function (socketId, username, color) {
-  const existingUser = this.activeUsers.find(u => u.socketId === socketId);
+roomSchema.methods.findUserBySocket = function (socketId) {
+  return this.activeUsers.find(u => u.connections.some(c => c.socketId === socketId));
+};
+
+// Another tab of a user already in the room is added to their connections
+roomSchema.methods.addUser = function ({ userId, username, color }, socketId, nodeId = null) {
+  const existingUser = this.activeUsers.find(u => u.userId === userId);
   if (!existingUser) {
     this.activeUsers.push({
-      socketId,
+      userId,
+      connections: [{ socketId, nodeId }],
       username,
       color,
       pointer: { x: 0, y: 0 },
       selectedElementIds: [],
+      claimedElementIds: [],
       lastActive: new Date()
     });
+  } else {
+    if (!existingUser.connections.some(c => c.socketId === socketId)) {
+      existingUser.connections.push({ socketId, nodeId });
+    }
+    existingUser.username = username;
+    existingUser.color = color;
+    existingUser.lastActive = new Date();
   }
   return this.save();
 };
 
-roomSchema.methods.removeUser = function (socketId) {
-  this.activeUsers = this.activeUsers.filter(u => u.socketId !== socketId);
+// Drops the sockets' connections, users left without one leave the room
+roomSchema.methods.removeConnections = function (socketIds) {
+  const gone = new Set(socketIds);
+  this.activeUsers.forEach((user) => {
+    user.connections = user.connections.filter(c => !gone.has(c.socketId));
+  });
+  this.activeUsers = this.activeUsers.filter(u => u.connections.length > 0);
   return this.save();
 };
 
+roomSchema.methods.removeUser = function (socketId) {
+  return this.removeConnections([socketId]);
+};
+
 roomSchema.methods.updateUserPointer = function (socketId, pointer) {
-  const user = this.activeUsers.find(u => u.socketId === socketId);
+  const user = this.findUserBySocket(socketId);
   if (user) {
     user.pointer = pointer;
     user.lastActive = new Date();
@@ -156,6 +232,55 @@ roomSchema.methods.updateUserPointer = function (socketId, pointer) {
   return this.save();
 };
 
+roomSchema.methods.getRole = function (userId) {
+  if (!userId) return null;
+  if (this.ownerId === userId) return 'owner';
+  const member = this.members.find(m => m.userId === userId);
+  return member ? member.role : null;
+};
+
+roomSchema.methods.setMemberRole = function (userId, role) {
+  if (!['viewer', 'editor'].includes(role)) {
+    throw new Error(`Invalid role: ${role}`);
+  }
+  if (this.ownerId === userId) {
+    throw new Error('Cannot change the role of the room owner');
+  }
+
+  const member = this.members.find(m => m.userId === userId);
+  if (member) {
+    member.role = role;
+  } else {
+    this.members.push({ userId, role });
+  }
+  return this.save();
+};
+
+roomSchema.methods.removeMember = function (userId) {
+  this.members = this.members.filter(m => m.userId !== userId);
+  return this.save();
+};
+
+roomSchema.methods.addShareLink = function (linkId, role, createdBy) {
+  if (!['viewer', 'editor'].includes(role)) {
+    throw new Error(`Invalid role: ${role}`);
+  }
+  this.shareLinks.push({ linkId, role, createdBy, createdAt: new Date() });
+  return this.save();
+};
+
+roomSchema.methods.revokeShareLink = function (linkId) {
+  const link = this.shareLinks.find(l => l.linkId === linkId);
+  if (link) {
+    link.revoked = true;
+  }
+  return this.save();
+};
+
+roomSchema.methods.getShareLink = function (linkId) {
+  return this.shareLinks.find(l => l.linkId === linkId && !l.revoked) || null;
+};
+
 roomSchema.methods.updateElements = function (elements) {
   this.elements = elements;
   this.version += 1;
@@ -163,36 +288,59 @@ roomSchema.methods.updateElements = function (elements) {
   return this.save();
 };
 
-roomSchema.methods.incrementalUpdate = function (updates) {
-  const { added, updated, deleted } = updates;
+// Applies an added/updated/deleted diff to the scene without saving it
+// Stale entries (older than the stored element) are skipped, see reconcileDiff
+roomSchema.methods.applyIncrementalUpdate = function (updates) {
+  const { added, updated, deleted } = reconcileDiff(this.elements, updates);
 
   // Handle deleted elements
-  if (deleted && deleted.length > 0) {
+  if (deleted.length > 0) {
     this.elements = this.elements.filter(el => !deleted.includes(el.id));
   }
 
   // Handle updated elements
-  if (updated && updated.length > 0) {
+  if (updated.length > 0) {
     updated.forEach(updatedEl => {
       const index = this.elements.findIndex(el => el.id === updatedEl.id);
       if (index !== -1) {
-        this.elements[index] = { ...this.elements[index].toObject(), ...updatedEl };
+        const current = this.elements[index];
+        this.elements[index] = { ...(current.toObject ? current.toObject() : current), ...updatedEl };
       }
     });
   }
 
   // Handle added elements
-  if (added && added.length > 0) {
+  if (added.length > 0) {
     this.elements.push(...added);
   }
 
   this.version += 1;
   this.lastModified = new Date();
+  this.markModified('elements');
+  return this;
+};
+
+roomSchema.methods.incrementalUpdate = function (updates) {
+  this.applyIncrementalUpdate(updates);
   return this.save();
 };
 
+const SEARCH_TEXT_MAX = 100000;
+
+// Encrypted rooms have no readable scene, only their metadata is searchable
+roomSchema.statics.searchTextOf = function ({ appState, elements }) {
+  const texts = (elements || [])
+    .filter(el => el && el.type === 'text' && !el.isDeleted && el.text)
+    .map(el => el.text);
+  return [appState?.name, ...texts].filter(Boolean).join('\n').slice(0, SEARCH_TEXT_MAX);
+};
+
 // Pre-save hook to sanitize data and prevent NaN issues
 roomSchema.pre('save', function (next) {
+  if (this.isNew || this.isModified('elements') || this.isModified('appState')) {
+    this.searchText = this.constructor.searchTextOf(this);
+  }
+
   if (this.appState) {
     // Force zoom to be an object with a numeric value
     let zoomVal = 1;
@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+// Append-only log of the element changes applied to a room, one document per
+// operation with the room version it produced
+const roomOperationSchema = new mongoose.Schema({
+  roomId: { type: String, required: true },
+  version: { type: Number, required: true },
+  type: {
+    type: String,
+    enum: ['incremental', 'scene', 'undo', 'redo', 'restore', 'import'],
+    required: true
+  },
+  socketId: { type: String, default: null },
+  userId: { type: String, default: null },
+  added: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  updated: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  deleted: { type: [String], default: [] }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+roomOperationSchema.index({ roomId: 1, version: 1 });
+
+const RoomOperation = mongoose.model('RoomOperation', roomOperationSchema);
+export default RoomOperation;
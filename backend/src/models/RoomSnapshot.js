@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+const roomSnapshotSchema = new mongoose.Schema({
+  roomId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  version: { type: Number, required: true },
+  reason: {
+    type: String,
+    enum: ['periodic', 'significant-change', 'pre-restore', 'pre-import'],
+    default: 'periodic'
+  },
+  elementCount: { type: Number, default: 0 },
+  elements: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  appState: mongoose.Schema.Types.Mixed,
+  files: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: () => new Map()
+  }
+}, {
+  timestamps: true
+});
+
+roomSnapshotSchema.index({ roomId: 1, createdAt: -1 });
+
+const RoomSnapshot = mongoose.model('RoomSnapshot', roomSnapshotSchema);
+export default RoomSnapshot;
@@ -0,0 +1,14 @@
+import mongoose from 'mongoose';
+
+// Backend nodes announce themselves with a heartbeat, a node whose heartbeat
+// went stale is considered dead and its users are evicted by the others
+const serverInstanceSchema = new mongoose.Schema({
+  nodeId: { type: String, required: true, unique: true },
+  hostname: String,
+  pid: Number,
+  startedAt: { type: Date, default: Date.now },
+  lastHeartbeat: { type: Date, default: Date.now, index: true }
+});
+
+const ServerInstance = mongoose.model('ServerInstance', serverInstanceSchema);
+export default ServerInstance;
@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+// Persistent identities: anonymous users are bound to a device id the client
+// keeps (only its hash is stored), local accounts log in with a password
+const userSchema = new mongoose.Schema({
+  userId: { type: String, required: true, unique: true },
+  kind: { type: String, enum: ['anonymous', 'local'], required: true },
+  displayName: { type: String, default: 'Anonymous' },
+  color: { type: String, required: true },
+  deviceIdHash: { type: String, default: undefined },
+  // Local accounts only, stored lowercase
+  username: { type: String, default: undefined },
+  passwordHash: { type: String, default: undefined },
+  lastSeenAt: { type: Date, default: Date.now }
+}, {
+  timestamps: true
+});
+
+userSchema.index({ deviceIdHash: 1 }, { unique: true, sparse: true });
+userSchema.index({ username: 1 }, { unique: true, sparse: true });
+
+const User = mongoose.model('User', userSchema);
+export default User;
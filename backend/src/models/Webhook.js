@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+// Subscriptions to room events, a webhook without roomId receives the events
+// of every room. Removed webhooks are kept until their pending deliveries are
+// done and then expire.
+const webhookSchema = new mongoose.Schema({
+  webhookId: { type: String, required: true, unique: true },
+  roomId: { type: String, default: null, index: true },
+  url: { type: String, required: true },
+  // Event names, '*' subscribes to all of them
+  events: { type: [String], default: ['*'] },
+  // Signs the payloads, only shown once on creation
+  secret: { type: String, required: true },
+  description: { type: String, default: '' },
+  createdBy: { type: String, default: null },
+  deletedAt: { type: Date, default: null }
+}, {
+  timestamps: true
+});
+
+webhookSchema.index({ deletedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+export default Webhook;
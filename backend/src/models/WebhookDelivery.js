@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+// One event sent to one webhook, the delivery queue and its log at once.
+// Pending deliveries are retried from nextAttemptAt on, the log is kept for a week.
+const webhookDeliverySchema = new mongoose.Schema({
+  deliveryId: { type: String, required: true, unique: true },
+  webhookId: { type: String, required: true },
+  roomId: { type: String, default: null },
+  event: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'failed'],
+    default: 'pending'
+  },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  responseStatus: { type: Number, default: null },
+  lastError: { type: String, default: null },
+  deliveredAt: { type: Date, default: null }
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+export default WebhookDelivery;
@@ -1,9 +1,49 @@
 import express from 'express';
 import roomService from '../services/roomService.js';
-import { validate, roomIdSchema } from '../utils/validation.js';
+import historyService from '../services/historyService.js';
+import authService from '../services/authService.js';
+import persistenceQueue from '../services/persistenceQueue.js';
+import exportService from '../services/exportService.js';
+import opLogService from '../services/opLogService.js';
+import userService from '../services/userService.js';
+import webhookService from '../services/webhookService.js';
+import { isImageMimeType } from '../services/fileStore.js';
+import { authenticate, requireRoomRole, requireAdmin, requireWebhookAccess } from '../middleware/auth.js';
+import {
+  validate,
+  roomIdSchema,
+  snapshotIdSchema,
+  memberSchema,
+  shareLinkSchema,
+  fileIdSchema,
+  fileUploadSchema,
+  exportQuerySchema,
+  opsQuerySchema,
+  importSchema,
+  templateSchema,
+  cloneRoomSchema,
+  guestTokenSchema,
+  deviceAuthSchema,
+  registerSchema,
+  loginSchema,
+  profileSchema,
+  roomListQuerySchema,
+  roomMetadataSchema,
+  webhookSchema,
+  deliveriesQuerySchema
+} from '../utils/validation.js';
+import { AppError, sendError } from '../utils/errors.js';
 
 const router = express.Router();
 
+// Room ids end up in filenames, the plain filename keeps safe characters only
+// and the RFC 5987 one carries the original
+const contentDisposition = (disposition, filename) => {
+  const fallback = filename.replace(/[^A-Za-z0-9._-]/g, '_');
+  const encoded = encodeURIComponent(filename).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${disposition}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
 router.get('/health', (req, res) => {
   res.json({
     status: 'ok',
@@ -12,10 +52,126 @@ router.get('/health', (req, res) => {
   });
 });
 
-// createroom
+// guest token (anonymous identity)
+router.post('/auth/token', (req, res) => {
+  if (!authService.allowGuests) {
+    return res.status(403).json({
+      success: false,
+      error: 'Guest tokens are disabled',
+      code: 'FORBIDDEN'
+    });
+  }
+
+  const { username } = validate(guestTokenSchema, req.body || {});
+  const { user, token } = authService.createGuestToken(username);
+
+  res.status(201).json({
+    success: true,
+    data: { user, token }
+  });
+});
+
+// persistent anonymous identity, the client keeps deviceId to come back as the same user
+router.post('/auth/device', async (req, res) => {
+  try {
+    if (!authService.allowGuests) {
+      return res.status(403).json({
+        success: false,
+        error: 'Anonymous identities are disabled',
+        code: 'FORBIDDEN'
+      });
+    }
+
+    const data = validate(deviceAuthSchema, req.body || {}, { strict: true });
+    const { user, deviceId } = await userService.identifyDevice(data);
+    const profile = userService.toProfile(user);
+
+    res.json({
+      success: true,
+      data: { user: profile, deviceId, token: authService.signToken(profile) }
+    });
+  } catch (error) {
+    console.error('Error identifying device:', error);
+    sendError(res, error);
+  }
+});
+
+// local accounts
+router.post('/auth/register', async (req, res) => {
+  try {
+    const data = validate(registerSchema, req.body || {}, { strict: true });
+    const profile = userService.toProfile(await userService.register(data));
+
+    res.status(201).json({
+      success: true,
+      data: { user: profile, token: authService.signToken(profile) }
+    });
+  } catch (error) {
+    console.error('Error registering user:', error);
+    sendError(res, error);
+  }
+});
+
+router.post('/auth/login', async (req, res) => {
+  try {
+    const data = validate(loginSchema, req.body || {}, { strict: true });
+    const profile = userService.toProfile(await userService.login(data));
+
+    res.json({
+      success: true,
+      data: { user: profile, token: authService.signToken(profile) }
+    });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    sendError(res, error);
+  }
+});
+
+// everything below needs a valid token when auth is enabled
+router.use(authenticate);
+
+// caller's profile, persistent users only (guest tokens have none)
+router.get('/me', async (req, res) => {
+  try {
+    const user = await userService.getUser(req.user?.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: userService.toProfile(user)
+    });
+  } catch (error) {
+    console.error('Error getting profile:', error);
+    sendError(res, error);
+  }
+});
+
+// display name and color, used from the next room join on
+router.patch('/me', async (req, res) => {
+  try {
+    const data = validate(profileSchema, req.body || {}, { strict: true });
+    const user = await userService.updateProfile(req.user?.id, data);
+
+    res.json({
+      success: true,
+      data: userService.toProfile(user)
+    });
+  } catch (error) {
+    console.error('Error updating profile:', error);
+    sendError(res, error);
+  }
+});
+
+// createroom, optionally from a template
 router.post('/rooms', async (req, res) => {
   try {
-    const { roomId } = req.body;
+    const { roomId, encrypted, templateId } = req.body;
     
     let validatedRoomId = null;
     if (roomId) {
@@ -23,24 +179,91 @@ router.post('/rooms', async (req, res) => {
       validatedRoomId = validated.roomId;
     }
 
-    const room = await roomService.createRoom(validatedRoomId);
+    let room;
+    if (templateId) {
+      const template = await roomService.getRoom(validate(roomIdSchema, { roomId: templateId }).roomId, false);
+      if (!template?.isTemplate) {
+        return res.status(404).json({
+          success: false,
+          error: 'Template not found',
+          code: 'TEMPLATE_NOT_FOUND'
+        });
+      }
+
+      room = await roomService.cloneRoom(template, {
+        roomId: validatedRoomId,
+        ownerId: req.user?.id || null,
+        freshIds: !template.encrypted
+      });
+    } else {
+      room = await roomService.createRoom(validatedRoomId, req.user?.id || null, {
+        encrypted: encrypted === true
+      });
+    }
     
     res.status(201).json({
       success: true,
       roomId: room.roomId,
+      encrypted: room.encrypted,
       createdAt: room.createdAt
     });
   } catch (error) {
     console.error('Error creating room:', error);
-    res.status(400).json({
-      success: false,
-      error: error.message
+    sendError(res, error);
+  }
+});
+
+// find rooms: search, filters and pagination
+router.get('/rooms', async (req, res) => {
+  try {
+    const query = validate(roomListQuerySchema, req.query);
+
+    if (query.owner === 'me' && !req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'owner=me needs a token',
+        code: 'UNAUTHORIZED'
+      });
+    }
+    const owner = query.owner === 'me' ? req.user.id : query.owner;
+
+    const { rooms, total, page, limit } = await roomService.listRooms({ ...query, owner }, {
+      access: authService.roomAccessFilter(req.user)
+    });
+
+    res.json({
+      success: true,
+      data: rooms,
+      pagination: {
+        page,
+        limit,
+        total,
+        hasMore: page * limit < total
+      }
     });
+  } catch (error) {
+    console.error('Error listing rooms:', error);
+    sendError(res, error);
+  }
+});
+
+// templates
+router.get('/templates', async (req, res) => {
+  try {
+    const templates = await roomService.listTemplates();
+
+    res.json({
+      success: true,
+      data: templates
+    });
+  } catch (error) {
+    console.error('Error listing templates:', error);
+    sendError(res, error);
   }
 });
 
 // room data
-router.get('/rooms/:roomId', async (req, res) => {
+router.get('/rooms/:roomId', requireRoomRole('viewer'), async (req, res) => {
   try {
     const { roomId } = validate(roomIdSchema, { roomId: req.params.roomId });
     
@@ -49,7 +272,8 @@ router.get('/rooms/:roomId', async (req, res) => {
     if (!room) {
       return res.status(404).json({
         success: false,
-        error: 'Room not found'
+        error: 'Room not found',
+        code: 'ROOM_NOT_FOUND'
       });
     }
 
@@ -57,25 +281,76 @@ router.get('/rooms/:roomId', async (req, res) => {
       success: true,
       data: {
         roomId: room.roomId,
+        title: room.title,
+        description: room.description,
+        tags: room.tags,
         elements: room.elements,
         appState: room.appState,
-        files: Object.fromEntries(room.files || new Map()),
+        files: roomService.getFilesMeta(room),
+        libraryItems: room.libraryItems,
         activeUsers: room.activeUsers.length,
         version: room.version,
-        lastModified: room.lastModified
+        lastModified: room.lastModified,
+        ownerId: room.ownerId,
+        role: req.roomRole,
+        isTemplate: room.isTemplate,
+        templateName: room.templateName,
+        status: room.status,
+        pinned: room.pinned,
+        encrypted: room.encrypted,
+        ...(room.encrypted ? {
+          encryptedScene: room.encryptedScene,
+          encryptedUpdates: room.encryptedUpdates
+        } : {})
       }
     });
   } catch (error) {
     console.error('Error getting room:', error);
-    res.status(400).json({
-      success: false,
-      error: error.message
+    sendError(res, error);
+  }
+});
+
+// title, description and tags
+router.patch('/rooms/:roomId', requireRoomRole('editor'), async (req, res) => {
+  try {
+    const metadata = validate(roomMetadataSchema, req.body || {});
+    const room = await roomService.updateMetadata(req.room.roomId, metadata);
+
+    res.json({
+      success: true,
+      data: {
+        roomId: room.roomId,
+        title: room.title,
+        description: room.description,
+        tags: room.tags
+      }
+    });
+  } catch (error) {
+    console.error('Error updating room metadata:', error);
+    sendError(res, error);
+  }
+});
+
+// who is in the room
+router.get('/rooms/:roomId/presence', requireRoomRole('viewer'), async (req, res) => {
+  try {
+    const users = await roomService.getPresence(req.room.roomId);
+
+    res.json({
+      success: true,
+      data: {
+        roomId: req.room.roomId,
+        users: users || []
+      }
     });
+  } catch (error) {
+    console.error('Error getting room presence:', error);
+    sendError(res, error);
   }
 });
 
 // room stats
-router.get('/rooms/:roomId/stats', async (req, res) => {
+router.get('/rooms/:roomId/stats', requireRoomRole('viewer'), async (req, res) => {
   try {
     const { roomId } = validate(roomIdSchema, { roomId: req.params.roomId });
     
@@ -84,7 +359,8 @@ router.get('/rooms/:roomId/stats', async (req, res) => {
     if (!stats) {
       return res.status(404).json({
         success: false,
-        error: 'Room not found'
+        error: 'Room not found',
+        code: 'ROOM_NOT_FOUND'
       });
     }
 
@@ -94,44 +370,616 @@ router.get('/rooms/:roomId/stats', async (req, res) => {
     });
   } catch (error) {
     console.error('Error getting room stats:', error);
-    res.status(400).json({
-      success: false,
-      error: error.message
+    sendError(res, error);
+  }
+});
+
+// export as .excalidraw, json, svg or png
+router.get('/rooms/:roomId/export', requireRoomRole('viewer'), async (req, res) => {
+  try {
+    const { format, background, scale } = validate(exportQuerySchema, req.query);
+
+    const file = await exportService.exportRoom(req.room, format || 'excalidraw', {
+      background: background !== false && background !== 'false',
+      scale: Number(scale) || 1
+    });
+
+    // Images open inline (embeddable), scene files download
+    const disposition = ['svg', 'png'].includes(format) ? 'inline' : 'attachment';
+    res.set('Content-Type', file.contentType);
+    res.set('Content-Disposition', contentDisposition(disposition, file.filename));
+    res.send(file.body);
+  } catch (error) {
+    console.error('Error exporting room:', error);
+    sendError(res, error);
+  }
+});
+
+// clone a room (or template) into a new room owned by the caller
+router.post('/rooms/:roomId/clone', requireRoomRole('viewer'), async (req, res) => {
+  try {
+    const { roomId, freshIds } = validate(cloneRoomSchema, req.body || {});
+
+    const room = await roomService.cloneRoom(req.room, {
+      roomId,
+      ownerId: req.user?.id || null,
+      freshIds: freshIds === true
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        roomId: room.roomId,
+        clonedFrom: req.room.roomId,
+        encrypted: room.encrypted,
+        elementCount: room.elements.length
+      }
+    });
+  } catch (error) {
+    console.error('Error cloning room:', error);
+    sendError(res, error);
+  }
+});
+
+// mark / unmark a room as template
+router.put('/rooms/:roomId/template', requireRoomRole('owner'), async (req, res) => {
+  try {
+    const { name } = validate(templateSchema, req.body || {});
+
+    const room = await roomService.setTemplate(req.room.roomId, true, name);
+
+    res.json({
+      success: true,
+      data: { roomId: room.roomId, isTemplate: room.isTemplate, name: room.templateName }
+    });
+  } catch (error) {
+    console.error('Error marking room as template:', error);
+    sendError(res, error);
+  }
+});
+
+router.delete('/rooms/:roomId/template', requireRoomRole('owner'), async (req, res) => {
+  try {
+    const room = await roomService.setTemplate(req.room.roomId, false);
+
+    res.json({
+      success: true,
+      data: { roomId: room.roomId, isTemplate: room.isTemplate }
     });
+  } catch (error) {
+    console.error('Error unmarking template:', error);
+    sendError(res, error);
   }
 });
 
-router.delete('/rooms/:roomId', async (req, res) => {
+// import an .excalidraw scene and/or .excalidrawlib libraries, the body is
+// either one of those files or { scene, libraries, mode }
+router.post('/rooms/:roomId/import', requireRoomRole('editor'), async (req, res) => {
   try {
     const { roomId } = validate(roomIdSchema, { roomId: req.params.roomId });
-    
+
+    const body = req.body || {};
+    const payload = {
+      excalidraw: { scene: body },
+      excalidrawlib: { libraries: [body] }
+    }[body.type] || body;
+    const { scene, libraries, mode } = validate(importSchema, {
+      ...payload,
+      mode: req.query.mode || payload.mode
+    });
+
+    // Soft validation lets bad payloads through, but an import must not wipe a scene
+    if ((scene && !Array.isArray(scene.elements)) || (!scene && !Array.isArray(libraries))) {
+      throw new AppError('Expected an .excalidraw scene or .excalidrawlib libraries', { code: 'INVALID_IMPORT', status: 422 });
+    }
+
+    const room = await roomService.importScene(roomId, { scene, libraries, mode }, { userId: req.user?.id });
+
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        error: 'Room not found',
+        code: 'ROOM_NOT_FOUND'
+      });
+    }
+
+    // Connected clients pick up the imported scene
+    req.app.get('socketHandler')?.broadcastSceneInit(roomId, room);
+
+    res.json({
+      success: true,
+      data: {
+        roomId: room.roomId,
+        version: room.version,
+        mode: mode || 'merge',
+        elementCount: room.elements.filter(el => !el.isDeleted).length,
+        libraryItems: room.libraryItems.length
+      }
+    });
+  } catch (error) {
+    console.error('Error importing into room:', error);
+    sendError(res, error);
+  }
+});
+
+// operation log, to catch up after a reconnect or replay a session
+router.get('/rooms/:roomId/ops', requireRoomRole('viewer'), async (req, res) => {
+  try {
+    const { since, limit } = validate(opsQuerySchema, req.query);
+
+    if (req.room.encrypted) {
+      return res.status(409).json({
+        success: false,
+        error: 'Encrypted rooms keep their updates as encrypted blobs, see encryptedUpdates',
+        code: 'ROOM_ENCRYPTED'
+      });
+    }
+
+    const { ops, hasMore } = await opLogService.listSince(req.room.roomId, Number(since) || 0, Number(limit) || 500);
+
+    res.json({
+      success: true,
+      data: {
+        roomId: req.room.roomId,
+        version: req.room.version,
+        ops,
+        hasMore
+      }
+    });
+  } catch (error) {
+    console.error('Error getting room ops:', error);
+    sendError(res, error);
+  }
+});
+
+// snapshot history
+router.get('/rooms/:roomId/history', requireRoomRole('viewer'), async (req, res) => {
+  try {
+    const { roomId } = validate(roomIdSchema, { roomId: req.params.roomId });
+
     const room = await roomService.getRoom(roomId, false);
-    
+
     if (!room) {
       return res.status(404).json({
         success: false,
-        error: 'Room not found'
+        error: 'Room not found',
+        code: 'ROOM_NOT_FOUND'
+      });
+    }
+
+    const snapshots = await historyService.listSnapshots(roomId);
+
+    res.json({
+      success: true,
+      data: snapshots.map(s => ({
+        snapshotId: s._id,
+        version: s.version,
+        reason: s.reason,
+        elementCount: s.elementCount,
+        createdAt: s.createdAt
+      }))
+    });
+  } catch (error) {
+    console.error('Error listing room history:', error);
+    sendError(res, error);
+  }
+});
+
+router.get('/rooms/:roomId/history/:snapshotId', requireRoomRole('viewer'), async (req, res) => {
+  try {
+    const { roomId } = validate(roomIdSchema, { roomId: req.params.roomId });
+    const { snapshotId } = validate(snapshotIdSchema, { snapshotId: req.params.snapshotId });
+
+    const snapshot = await historyService.getSnapshot(roomId, snapshotId);
+
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        error: 'Snapshot not found',
+        code: 'SNAPSHOT_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        snapshotId: snapshot._id,
+        roomId: snapshot.roomId,
+        version: snapshot.version,
+        reason: snapshot.reason,
+        elements: snapshot.elements,
+        appState: snapshot.appState,
+        files: Object.fromEntries(snapshot.files || new Map()),
+        createdAt: snapshot.createdAt
+      }
+    });
+  } catch (error) {
+    console.error('Error getting room snapshot:', error);
+    sendError(res, error);
+  }
+});
+
+router.post('/rooms/:roomId/history/:snapshotId/restore', requireRoomRole('editor'), async (req, res) => {
+  try {
+    const { roomId } = validate(roomIdSchema, { roomId: req.params.roomId });
+    const { snapshotId } = validate(snapshotIdSchema, { snapshotId: req.params.snapshotId });
+
+    const snapshot = await historyService.getSnapshot(roomId, snapshotId);
+
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        error: 'Snapshot not found',
+        code: 'SNAPSHOT_NOT_FOUND'
       });
     }
-    if (room.activeUsers.length > 0) {
-      return res.status(400).json({
+
+    const room = await roomService.restoreSnapshot(roomId, snapshot, { userId: req.user?.id });
+
+    if (!room) {
+      return res.status(404).json({
         success: false,
-        error: 'Cannot delete room with active users'
+        error: 'Room not found',
+        code: 'ROOM_NOT_FOUND'
       });
     }
 
-    await room.deleteOne();
+    // Connected clients replace their scene with the restored one
+    req.app.get('socketHandler')?.broadcastSceneInit(roomId, room);
+
+    res.json({
+      success: true,
+      data: {
+        roomId: room.roomId,
+        version: room.version,
+        restoredFrom: snapshot._id
+      }
+    });
+  } catch (error) {
+    console.error('Error restoring room snapshot:', error);
+    sendError(res, error);
+  }
+});
+
+router.delete('/rooms/:roomId', requireRoomRole('owner'), async (req, res) => {
+  try {
+    const { roomId } = validate(roomIdSchema, { roomId: req.params.roomId });
+    
+    const room = await roomService.trashRoom(roomId);
+    
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        error: 'Room not found',
+        code: 'ROOM_NOT_FOUND'
+      });
+    }
     
     res.json({
       success: true,
-      message: 'Room deleted successfully'
+      message: 'Room moved to trash',
+      data: {
+        roomId,
+        deletedAt: room.deletedAt,
+        ...roomService.retentionInfo(room)
+      }
     });
   } catch (error) {
     console.error('Error deleting room:', error);
-    res.status(400).json({
-      success: false,
-      error: error.message
+    sendError(res, error);
+  }
+});
+
+// restore a trashed or archived room
+router.post('/rooms/:roomId/restore', requireRoomRole('owner', { includeTrashed: true }), async (req, res) => {
+  try {
+    const room = await roomService.restoreRoom(req.room.roomId);
+
+    res.json({
+      success: true,
+      data: {
+        roomId: room.roomId,
+        status: room.status,
+        ...roomService.retentionInfo(room)
+      }
+    });
+  } catch (error) {
+    console.error('Error restoring room:', error);
+    sendError(res, error);
+  }
+});
+
+// pinned rooms never expire
+router.put('/rooms/:roomId/pin', requireRoomRole('owner'), async (req, res) => {
+  try {
+    const room = await roomService.setPinned(req.room.roomId, true);
+
+    res.json({
+      success: true,
+      data: { roomId: room.roomId, pinned: room.pinned }
+    });
+  } catch (error) {
+    console.error('Error pinning room:', error);
+    sendError(res, error);
+  }
+});
+
+router.delete('/rooms/:roomId/pin', requireRoomRole('owner'), async (req, res) => {
+  try {
+    const room = await roomService.setPinned(req.room.roomId, false);
+
+    res.json({
+      success: true,
+      data: { roomId: room.roomId, pinned: room.pinned, ...roomService.retentionInfo(room) }
+    });
+  } catch (error) {
+    console.error('Error unpinning room:', error);
+    sendError(res, error);
+  }
+});
+
+// room members and roles
+router.get('/rooms/:roomId/members', requireRoomRole('viewer'), (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      ownerId: req.room.ownerId,
+      members: req.room.members.map(m => ({ userId: m.userId, role: m.role }))
+    }
+  });
+});
+
+router.put('/rooms/:roomId/members/:userId', requireRoomRole('owner'), async (req, res) => {
+  try {
+    const { userId, role } = validate(memberSchema, {
+      userId: req.params.userId,
+      role: req.body?.role
+    });
+
+    const room = await roomService.setMemberRole(req.room.roomId, userId, role);
+    // Connected sockets of the room lose what the change took away
+    req.app.get('socketHandler')?.revalidateRoom(req.room.roomId);
+
+    res.json({
+      success: true,
+      data: {
+        ownerId: room.ownerId,
+        members: room.members.map(m => ({ userId: m.userId, role: m.role }))
+      }
+    });
+  } catch (error) {
+    console.error('Error setting member role:', error);
+    sendError(res, error);
+  }
+});
+
+router.delete('/rooms/:roomId/members/:userId', requireRoomRole('owner'), async (req, res) => {
+  try {
+    const room = await roomService.removeMember(req.room.roomId, req.params.userId);
+    req.app.get('socketHandler')?.revalidateRoom(req.room.roomId);
+
+    res.json({
+      success: true,
+      data: {
+        ownerId: room.ownerId,
+        members: room.members.map(m => ({ userId: m.userId, role: m.role }))
+      }
+    });
+  } catch (error) {
+    console.error('Error removing member:', error);
+    sendError(res, error);
+  }
+});
+
+// images and other binary files, content lives in the file store
+router.post('/rooms/:roomId/files/:fileId', requireRoomRole('editor'), async (req, res) => {
+  try {
+    const { fileId } = validate(fileIdSchema, { fileId: req.params.fileId });
+    const file = validate(fileUploadSchema, req.body || {});
+
+    const meta = await roomService.addFile(req.room.roomId, fileId, file);
+
+    req.app.get('socketHandler')?.broadcastFileAdded(req.room.roomId, meta);
+
+    res.status(201).json({
+      success: true,
+      data: meta
+    });
+  } catch (error) {
+    console.error('Error uploading file:', error);
+    sendError(res, error);
+  }
+});
+
+router.get('/rooms/:roomId/files/:fileId', requireRoomRole('viewer'), async (req, res) => {
+  try {
+    const { fileId } = validate(fileIdSchema, { fileId: req.params.fileId });
+
+    const file = await roomService.getFile(req.room.roomId, fileId);
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found',
+        code: 'FILE_NOT_FOUND'
+      });
+    }
+
+    // Content is addressed by hash, a file id never changes content. Files
+    // are user content: scripts in an SVG must not run on this origin, and
+    // types stored before the allowlist are only offered as a download.
+    if (isImageMimeType(file.mimeType)) {
+      res.set('Content-Type', file.mimeType);
+    } else {
+      res.set('Content-Type', 'application/octet-stream');
+      res.set('Content-Disposition', contentDisposition('attachment', fileId));
+    }
+    res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; sandbox");
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.set('Cache-Control', 'private, max-age=31536000, immutable');
+    res.send(file.buffer);
+  } catch (error) {
+    console.error('Error getting file:', error);
+    sendError(res, error);
+  }
+});
+
+// share links (view-only or edit)
+router.get('/rooms/:roomId/share', requireRoomRole('owner'), (req, res) => {
+  res.json({
+    success: true,
+    data: req.room.shareLinks
+      .filter(l => !l.revoked)
+      .map(l => ({ linkId: l.linkId, role: l.role, createdBy: l.createdBy, createdAt: l.createdAt }))
+  });
+});
+
+router.post('/rooms/:roomId/share', requireRoomRole('owner'), async (req, res) => {
+  try {
+    const { role } = validate(shareLinkSchema, { role: req.body?.role });
+
+    const link = await roomService.createShareLink(req.room.roomId, role, req.user?.id || null);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        linkId: link.linkId,
+        role: link.role,
+        token: authService.signShareToken(req.room.roomId, link.linkId, link.role),
+        createdAt: link.createdAt
+      }
+    });
+  } catch (error) {
+    console.error('Error creating share link:', error);
+    sendError(res, error);
+  }
+});
+
+router.delete('/rooms/:roomId/share/:linkId', requireRoomRole('owner'), async (req, res) => {
+  try {
+    await roomService.revokeShareLink(req.room.roomId, req.params.linkId);
+    req.app.get('socketHandler')?.revalidateRoom(req.room.roomId);
+
+    res.json({
+      success: true,
+      message: 'Share link revoked'
+    });
+  } catch (error) {
+    console.error('Error revoking share link:', error);
+    sendError(res, error);
+  }
+});
+
+// webhooks, per room (owner) or global (admin). The secret is only returned on creation.
+router.get('/rooms/:roomId/webhooks', requireRoomRole('owner'), async (req, res) => {
+  try {
+    const webhooks = await webhookService.listWebhooks(req.room.roomId);
+
+    res.json({
+      success: true,
+      data: webhooks.map(w => webhookService.toPublic(w))
     });
+  } catch (error) {
+    console.error('Error listing webhooks:', error);
+    sendError(res, error);
+  }
+});
+
+router.post('/rooms/:roomId/webhooks', requireRoomRole('owner'), async (req, res) => {
+  try {
+    const options = validate(webhookSchema, req.body || {}, { strict: true });
+
+    const webhook = await webhookService.createWebhook({
+      ...options,
+      roomId: req.room.roomId,
+      createdBy: req.user?.id || null
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { ...webhookService.toPublic(webhook), secret: webhook.secret }
+    });
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    sendError(res, error);
+  }
+});
+
+router.get('/webhooks', requireAdmin, async (req, res) => {
+  try {
+    const webhooks = await webhookService.listWebhooks();
+
+    res.json({
+      success: true,
+      data: webhooks.map(w => webhookService.toPublic(w))
+    });
+  } catch (error) {
+    console.error('Error listing webhooks:', error);
+    sendError(res, error);
+  }
+});
+
+router.post('/webhooks', requireAdmin, async (req, res) => {
+  try {
+    const options = validate(webhookSchema, req.body || {}, { strict: true });
+
+    const webhook = await webhookService.createWebhook({
+      ...options,
+      createdBy: req.user?.id || null
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { ...webhookService.toPublic(webhook), secret: webhook.secret }
+    });
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    sendError(res, error);
+  }
+});
+
+router.delete('/webhooks/:webhookId', requireWebhookAccess, async (req, res) => {
+  try {
+    await webhookService.deleteWebhook(req.webhook.webhookId);
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    sendError(res, error);
+  }
+});
+
+// Queues a ping event, its outcome shows up in the delivery log
+router.post('/webhooks/:webhookId/test', requireWebhookAccess, async (req, res) => {
+  try {
+    const delivery = await webhookService.sendTest(req.webhook);
+
+    res.status(202).json({
+      success: true,
+      data: { deliveryId: delivery.deliveryId, event: delivery.event, status: delivery.status }
+    });
+  } catch (error) {
+    console.error('Error testing webhook:', error);
+    sendError(res, error);
+  }
+});
+
+router.get('/webhooks/:webhookId/deliveries', requireWebhookAccess, async (req, res) => {
+  try {
+    const options = validate(deliveriesQuerySchema, req.query);
+
+    const deliveries = await webhookService.getDeliveries(req.webhook.webhookId, options);
+
+    res.json({
+      success: true,
+      data: deliveries
+    });
+  } catch (error) {
+    console.error('Error getting webhook deliveries:', error);
+    sendError(res, error);
   }
 });
 
@@ -141,6 +989,7 @@ router.get('/stats', (req, res) => {
     success: true,
     data: {
       activeRooms: roomService.getActiveRoomsCount(),
+      persistenceQueue: persistenceQueue.getStats(),
       uptime: process.uptime(),
       memory: process.memoryUsage(),
       timestamp: new Date().toISOString()
@@ -1,6 +1,8 @@
 import express from 'express';
 import { createServer } from 'http';
 import { Server } from 'socket.io';
+import { createAdapter } from '@socket.io/redis-adapter';
+import os from 'os';
 import cors from 'cors'
 import helmet from 'helmet';
 import compression from 'compression';
@@ -13,6 +15,16 @@ import cacheManager from './config/cache.js';
 import apiRoutes from './routes/api.js';
 import SocketHandler from './sockets/socketHandler.js'
 import roomService from './services/roomService.js'
+import historyService from './services/historyService.js'
+import persistenceQueue from './services/persistenceQueue.js'
+import fileStore from './services/fileStore.js'
+import authService from './services/authService.js'
+import presenceSweeper from './services/presenceSweeper.js'
+import opReceiptService from './services/opReceiptService.js'
+import webhookService from './services/webhookService.js'
+import { socketAuth } from './middleware/auth.js'
+import { AppError, sendError } from './utils/errors.js'
+import { configureValidation } from './utils/validation.js'
 
 
 dotenv.config();
@@ -26,12 +38,54 @@ const CORS_ORIGIN = process.env.CORS_ORIGIN || 'http://localhost:3000';
 const MONGODB_URI = process.env.MONGODB_URI;
 const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
 const REDIS_ENABLED = process.env.REDIS_ENABLED === 'true';
+const NODE_ID = process.env.NODE_ID || `${os.hostname()}-${process.pid}`;
+
+const SNAPSHOT_INTERVAL = parseInt(process.env.SNAPSHOT_INTERVAL_MS) || 300000; // 5 minutes
+const SNAPSHOT_MAX_PER_ROOM = parseInt(process.env.SNAPSHOT_MAX_PER_ROOM) || 50;
+const PERSIST_DELAY = parseInt(process.env.PERSIST_DELAY_MS) || 1000;
+const FILE_STORE = process.env.FILE_STORE || 'disk'; // disk | gridfs
+const FILE_STORE_DIR = process.env.FILE_STORE_DIR || './data/files';
+const FILE_MAX_BYTES = parseInt(process.env.FILE_MAX_BYTES) || 5 * 1024 * 1024;
+const PRESENCE_HEARTBEAT = parseInt(process.env.PRESENCE_HEARTBEAT_MS) || 15000;
+const PRESENCE_STALE_AFTER = parseInt(process.env.PRESENCE_STALE_MS) || 60000; // node/user considered dead after
+const PRESENCE_SWEEP_INTERVAL = parseInt(process.env.PRESENCE_SWEEP_MS) || 60000;
+const POINTER_INTERVAL = parseInt(process.env.POINTER_INTERVAL_MS) || 50; // max one pointer broadcast per socket per interval
+const ROOM_RETENTION_DAYS = parseInt(process.env.ROOM_RETENTION_DAYS) || 30; // idle days before archival
+const ROOM_TRASH_DAYS = parseInt(process.env.ROOM_TRASH_DAYS) || 30; // days in trash before purge
+const OP_RECEIPT_TTL = parseInt(process.env.OP_RECEIPT_TTL_MS) || 600000; // how long replayed opIds are recognised
+const WEBHOOK_TIMEOUT = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 10;
+const WEBHOOK_RETRY_BASE = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 10000; // first retry delay, doubled on each attempt
+const WEBHOOK_DEBOUNCE = parseInt(process.env.WEBHOOK_DEBOUNCE_MS) || 5000; // quiet time before scene.changed is sent
+const WEBHOOK_DEBOUNCE_MAX = parseInt(process.env.WEBHOOK_DEBOUNCE_MAX_MS) || 60000;
+const WEBHOOK_POLL = parseInt(process.env.WEBHOOK_POLL_MS) || 5000;
+const WEBHOOK_ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === 'true'; // local stand-ins during development
+const WEBHOOK_ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(host => host.trim()).filter(Boolean);
+
+const AUTH_ENABLED = process.env.AUTH_ENABLED === 'true';
+const AUTH_SECRET = process.env.AUTH_SECRET;
+const VALIDATION_STRICT = process.env.VALIDATION_STRICT === 'true';
 
 if (!MONGODB_URI) {
   console.error('MONGODB_URI is required in environment variables');
   process.exit(1);
 }
 
+if (AUTH_ENABLED && !AUTH_SECRET) {
+  console.error('AUTH_SECRET is required when AUTH_ENABLED=true');
+  process.exit(1);
+}
+
+configureValidation({ strict: VALIDATION_STRICT });
+
+authService.configure({
+  enabled: AUTH_ENABLED,
+  secret: AUTH_SECRET,
+  expiresIn: process.env.AUTH_TOKEN_TTL || '7d',
+  allowGuests: process.env.AUTH_GUEST_TOKENS !== 'false',
+  adminToken: process.env.ADMIN_TOKEN || null
+});
+
 app.use(helmet({
   crossOriginResourcePolicy: { policy: 'cross-origin' },
   crossOriginOpenerPolicy: { policy: 'same-origin-allow-popups' }
@@ -40,8 +94,8 @@ app.use(helmet({
 const corsOptions = {
   origin: CORS_ORIGIN.split(',').map(origin => origin.trim()),
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Share-Token', 'X-Admin-Token']
 };
 
 app.use(cors(corsOptions));
@@ -72,16 +126,53 @@ app.get('/', (req, res) => {
     status: 'running',
     endpoints: {
       health: '/api/health',
+      guestToken: 'POST /api/auth/token',
+      deviceIdentity: 'POST /api/auth/device',
+      register: 'POST /api/auth/register',
+      login: 'POST /api/auth/login',
+      profile: 'GET /api/me',
+      updateProfile: 'PATCH /api/me',
+      listRooms: 'GET /api/rooms',
       createRoom: 'POST /api/rooms',
+      templates: 'GET /api/templates',
       getRoom: 'GET /api/rooms/:roomId',
+      updateRoom: 'PATCH /api/rooms/:roomId',
+      cloneRoom: 'POST /api/rooms/:roomId/clone',
+      restoreRoom: 'POST /api/rooms/:roomId/restore',
+      pinRoom: 'PUT /api/rooms/:roomId/pin',
+      unpinRoom: 'DELETE /api/rooms/:roomId/pin',
+      markTemplate: 'PUT /api/rooms/:roomId/template',
+      unmarkTemplate: 'DELETE /api/rooms/:roomId/template',
       roomStats: 'GET /api/rooms/:roomId/stats',
+      roomPresence: 'GET /api/rooms/:roomId/presence',
+      exportRoom: 'GET /api/rooms/:roomId/export?format=excalidraw|json|svg|png',
+      importRoom: 'POST /api/rooms/:roomId/import?mode=merge|replace',
+      roomOps: 'GET /api/rooms/:roomId/ops?since=<version>',
+      roomHistory: 'GET /api/rooms/:roomId/history',
+      roomSnapshot: 'GET /api/rooms/:roomId/history/:snapshotId',
+      restoreSnapshot: 'POST /api/rooms/:roomId/history/:snapshotId/restore',
+      roomMembers: 'GET /api/rooms/:roomId/members',
+      setMemberRole: 'PUT /api/rooms/:roomId/members/:userId',
+      removeMember: 'DELETE /api/rooms/:roomId/members/:userId',
+      uploadFile: 'POST /api/rooms/:roomId/files/:fileId',
+      getFile: 'GET /api/rooms/:roomId/files/:fileId',
+      shareLinks: 'GET /api/rooms/:roomId/share',
+      createShareLink: 'POST /api/rooms/:roomId/share',
+      revokeShareLink: 'DELETE /api/rooms/:roomId/share/:linkId',
+      roomWebhooks: 'GET /api/rooms/:roomId/webhooks',
+      createRoomWebhook: 'POST /api/rooms/:roomId/webhooks',
+      webhooks: 'GET /api/webhooks',
+      createWebhook: 'POST /api/webhooks',
+      deleteWebhook: 'DELETE /api/webhooks/:webhookId',
+      testWebhook: 'POST /api/webhooks/:webhookId/test',
+      webhookDeliveries: 'GET /api/webhooks/:webhookId/deliveries',
       serverStats: 'GET /api/stats'
     },
     websocket: {
       url: `ws://localhost:${PORT}`,
       events: {
-        client: ['join-room', 'scene-update', 'incremental-update', 'pointer-update', 'idle-status', 'leave-room'],
-        server: ['scene-init', 'scene-update', 'incremental-update', 'pointer-update', 'user-joined', 'user-left', 'error']
+        client: ['join-room', 'scene-update', 'incremental-update', 'pointer-update', 'idle-status', 'selection-update', 'undo', 'redo', 'leave-room'],
+        server: ['scene-init', 'scene-resume', 'scene-update', 'incremental-update', 'pointer-update', 'file-added', 'selection-update', 'claim-denied', 'update-rejected', 'undo-partial', 'redo-partial', 'user-joined', 'user-left', 'error']
       }
     }
   });
@@ -90,16 +181,21 @@ app.get('/', (req, res) => {
 // err handling middleware
 app.use((err, req, res, next) => {
   console.error('Error:', err);
+  if (err instanceof AppError) {
+    return sendError(res, err);
+  }
   res.status(err.status || 500).json({
     success: false,
-    error: err.message || 'Internal server error'
+    error: err.message || 'Internal server error',
+    code: 'INTERNAL_ERROR'
   })
 })
 
 app.use((req, res) => {
   res.status(404).json({
     success: false,
-    error: 'Endpoint not found'
+    error: 'Endpoint not found',
+    code: 'NOT_FOUND'
   })
 })
 
@@ -110,11 +206,54 @@ const io = new Server(httpServer, {
   pingInterval: parseInt(process.env.WS_PING_INTERVAL) || 25000,
   maxHttpBufferSize: 1e7, // 10 MB
   transports: ['websocket', 'polling'],
-  allowEIO3: true
+  allowEIO3: true,
+  // Short drops resume the same socket (rooms, socket.data, missed events).
+  // The redis pub/sub adapter doesn't keep sessions, clients then rejoin with lastVersion.
+  connectionStateRecovery: {
+    maxDisconnectionDuration: parseInt(process.env.WS_RECOVERY_MS) || 120000,
+    skipMiddlewares: true
+  }
 });
 
+// Resolve the caller from the handshake token before any event is handled
+io.use(socketAuth);
+
 // Initialize socket handler
-const socketHandler = new SocketHandler(io);
+const socketHandler = new SocketHandler(io, {
+  pointerIntervalMs: POINTER_INTERVAL
+});
+app.set('socketHandler', socketHandler);
+
+historyService.configure({
+  intervalMs: SNAPSHOT_INTERVAL,
+  maxPerRoom: SNAPSHOT_MAX_PER_ROOM
+});
+
+persistenceQueue.configure({ delayMs: PERSIST_DELAY });
+
+opReceiptService.configure({ ttlMs: OP_RECEIPT_TTL });
+
+webhookService.configure({
+  timeoutMs: WEBHOOK_TIMEOUT,
+  maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+  retryBaseMs: WEBHOOK_RETRY_BASE,
+  debounceMs: WEBHOOK_DEBOUNCE,
+  debounceMaxMs: WEBHOOK_DEBOUNCE_MAX,
+  pollIntervalMs: WEBHOOK_POLL,
+  allowPrivate: WEBHOOK_ALLOW_PRIVATE,
+  allowedHosts: WEBHOOK_ALLOWED_HOSTS
+});
+
+roomService.configure({
+  retentionDays: ROOM_RETENTION_DAYS,
+  trashDays: ROOM_TRASH_DAYS
+});
+
+fileStore.configure({
+  driver: FILE_STORE,
+  dir: FILE_STORE_DIR,
+  maxBytes: FILE_MAX_BYTES
+});
 
 // Handle socket connections
 io.on('connection', (socket) => {
@@ -140,8 +279,11 @@ const gracefulShutdown = async (signal) => {
     console.log('Socket.IO server closed');
   });
 
-  // Disconnect from databases
+  // Write pending room changes, then disconnect from databases
   try {
+    await persistenceQueue.flushAll();
+    await presenceSweeper.stop();
+    await webhookService.stop();
     await database.disconnect();
     await cacheManager.disconnect();
     console.log('graceful shutdown completed');
@@ -173,6 +315,23 @@ const startServer = async () => {
     // Connect to Redis
     await cacheManager.connect(REDIS_URL, REDIS_ENABLED);
 
+    // With redis, broadcasts and room changes reach the other backend nodes
+    const adapterClients = await cacheManager.createAdapterClients();
+    if (adapterClients) {
+      io.adapter(createAdapter(adapterClients.pubClient, adapterClients.subClient));
+    }
+    await roomService.init(NODE_ID);
+
+    // Registers this node and evicts users left behind by crashed ones
+    await presenceSweeper.start(io, NODE_ID, {
+      heartbeatMs: PRESENCE_HEARTBEAT,
+      staleAfterMs: PRESENCE_STALE_AFTER,
+      sweepIntervalMs: PRESENCE_SWEEP_INTERVAL
+    });
+
+    // Works through the webhook delivery queue shared by all nodes
+    webhookService.start();
+
     httpServer.listen(PORT, () => {
       console.log('\n');
       console.log(' horizon-app backend started ');
@@ -183,15 +342,55 @@ const startServer = async () => {
 
       console.log(`Database: MongoDB Atlas (Connected)`);
       console.log(`cache: ${(REDIS_ENABLED ? 'Redis Enabled' : 'In-Memory').padEnd(33)}`);
+      console.log(`node: ${NODE_ID} (${adapterClients ? 'redis adapter' : 'single node'})`);
+      console.log(`auth: ${AUTH_ENABLED ? 'JWT required' : 'disabled'}`);
+      console.log(`validation: ${VALIDATION_STRICT ? 'strict' : 'soft'}`);
       console.log(`env: ${process.env.NODE_ENV || 'dev'.padEnd(33)}`);
       console.log('\n');
 
 
       console.log('APis Endpoints ');
       console.log(`GET  /api/health`);
+      console.log(`POST /api/auth/token`);
+      console.log(`POST /api/auth/device`);
+      console.log(`POST /api/auth/register`);
+      console.log(`POST /api/auth/login`);
+      console.log(`GET  /api/me`);
+      console.log(`PATCH /api/me`);
+      console.log(`GET  /api/rooms`);
       console.log(`POST /api/rooms`);
+      console.log(`GET  /api/templates`);
       console.log(`GET  /api/rooms/:roomId`);
+      console.log(`PATCH /api/rooms/:roomId`);
+      console.log(`POST /api/rooms/:roomId/clone`);
+      console.log(`POST /api/rooms/:roomId/restore`);
+      console.log(`PUT  /api/rooms/:roomId/pin`);
+      console.log(`DELETE /api/rooms/:roomId/pin`);
+      console.log(`PUT  /api/rooms/:roomId/template`);
+      console.log(`DELETE /api/rooms/:roomId/template`);
       console.log(`GET  /api/rooms/:roomId/stats`);
+      console.log(`GET  /api/rooms/:roomId/presence`);
+      console.log(`GET  /api/rooms/:roomId/export`);
+      console.log(`POST /api/rooms/:roomId/import`);
+      console.log(`GET  /api/rooms/:roomId/ops`);
+      console.log(`GET  /api/rooms/:roomId/history`);
+      console.log(`GET  /api/rooms/:roomId/history/:snapshotId`);
+      console.log(`POST /api/rooms/:roomId/history/:snapshotId/restore`);
+      console.log(`GET  /api/rooms/:roomId/members`);
+      console.log(`PUT  /api/rooms/:roomId/members/:userId`);
+      console.log(`DELETE /api/rooms/:roomId/members/:userId`);
+      console.log(`POST /api/rooms/:roomId/files/:fileId`);
+      console.log(`GET  /api/rooms/:roomId/files/:fileId`);
+      console.log(`GET  /api/rooms/:roomId/share`);
+      console.log(`POST /api/rooms/:roomId/share`);
+      console.log(`DELETE /api/rooms/:roomId/share/:linkId`);
+      console.log(`GET  /api/rooms/:roomId/webhooks`);
+      console.log(`POST /api/rooms/:roomId/webhooks`);
+      console.log(`GET  /api/webhooks`);
+      console.log(`POST /api/webhooks`);
+      console.log(`DELETE /api/webhooks/:webhookId`);
+      console.log(`POST /api/webhooks/:webhookId/test`);
+      console.log(`GET  /api/webhooks/:webhookId/deliveries`);
       console.log(`DELETE /api/rooms/:roomId`);
       console.log(`GET  /api/stats\n`);
     });
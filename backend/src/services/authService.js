@@ -0,0 +1,137 @@
+import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import { nanoid } from 'nanoid';
+
+// Room roles, higher rank includes everything below it
+export const ROLES = {
+  viewer: 1,
+  editor: 2,
+  owner: 3
+};
+
+export const hasRole = (role, required) => (ROLES[role] || 0) >= ROLES[required];
+
+class AuthService {
+  constructor() {
+    this.isEnabled = false;
+    this.secret = null;
+    this.expiresIn = '7d';
+    this.allowGuests = true;
+    this.adminToken = null;
+    this.verifier = (token) => this.verifyJwt(token);
+  }
+
+  configure({ enabled = false, secret, expiresIn, allowGuests = true, adminToken = null } = {}) {
+    this.isEnabled = enabled;
+    this.allowGuests = allowGuests;
+    this.adminToken = adminToken;
+    if (expiresIn) this.expiresIn = expiresIn;
+
+    if (secret) {
+      this.secret = secret;
+    } else {
+      // Tokens signed with a generated secret stop working on restart
+      console.warn('AUTH_SECRET not set - using a random secret for this process');
+      this.secret = crypto.randomBytes(32).toString('hex');
+    }
+  }
+
+  // Swap the token check for another provider, the verifier resolves to
+  // { id, name } for a valid token and throws otherwise
+  useVerifier(verifier) {
+    this.verifier = verifier;
+  }
+
+  signToken(user) {
+    return jwt.sign({ sub: user.id, name: user.name }, this.secret, { expiresIn: this.expiresIn });
+  }
+
+  createGuestToken(name) {
+    const user = { id: `guest_${nanoid(12)}`, name: name || 'Anonymous' };
+    return { user, token: this.signToken(user) };
+  }
+
+  signShareToken(roomId, linkId, role) {
+    // Share links don't expire on their own, owners revoke them instead
+    return jwt.sign({ typ: 'share', room: roomId, lid: linkId, role }, this.secret);
+  }
+
+  // Resolves the role a share token grants in this room, or null when the
+  // token is invalid, meant for another room or revoked
+  resolveShareRole(room, token) {
+    if (!token) return null;
+
+    try {
+      const payload = jwt.verify(token, this.secret);
+      if (payload.typ !== 'share' || payload.room !== room.roomId) return null;
+
+      const link = room.getShareLink(payload.lid);
+      return link ? link.role : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Share tokens are signed with the same secret but only grant a room role,
+  // they never identify a user
+  verifyJwt(token) {
+    const payload = jwt.verify(token, this.secret);
+    if (payload.typ === 'share' || typeof payload.sub !== 'string' || !payload.sub) {
+      throw new Error('Not a user token');
+    }
+    return { id: payload.sub, name: payload.name };
+  }
+
+  async verify(token) {
+    if (!token) return null;
+    return this.verifier(token);
+  }
+
+  // Without auth every caller keeps full access, as before auth existed.
+  // Joining through a share link caps the role at the link's role, unless the
+  // caller is a member with more than that.
+  resolveRoomRole(room, user, shareRole = null) {
+    if (shareRole) {
+      const memberRole = this.isEnabled && user ? room.getRole(user.id) : null;
+      return hasRole(memberRole, shareRole) ? memberRole : shareRole;
+    }
+
+    if (!this.isEnabled) return 'owner';
+    if (!user) return null;
+
+    const role = room.getRole(user.id);
+    if (role) return role;
+
+    // Rooms nobody owns (created before auth was enabled) stay open for editing
+    if (!room.ownerId) return 'editor';
+
+    // Templates are readable by everyone so they can be cloned
+    return room.isTemplate ? 'viewer' : null;
+  }
+
+  // Server wide settings (global webhooks) are open without auth, with auth
+  // they need the configured admin token
+  isAdmin(token) {
+    if (!this.isEnabled) return true;
+    if (!this.adminToken || !token) return false;
+
+    const expected = Buffer.from(this.adminToken);
+    const given = Buffer.from(token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  // Mongo filter for the rooms resolveRoomRole lets the user open without a share link
+  roomAccessFilter(user) {
+    if (!this.isEnabled) return {};
+
+    return {
+      $or: [
+        ...(user ? [{ ownerId: user.id }, { 'members.userId': user.id }] : []),
+        { ownerId: null },
+        { isTemplate: true }
+      ]
+    };
+  }
+}
+
+export default new AuthService();
@@ -0,0 +1,140 @@
+import { Resvg } from '@resvg/resvg-js';
+import fileStore from './fileStore.js';
+import { renderSceneToSvg } from '../utils/svgRenderer.js';
+import { AppError } from '../utils/errors.js';
+
+export const EXPORT_FORMATS = ['excalidraw', 'json', 'svg', 'png'];
+
+// Rendering is synchronous and allocates the whole bitmap, so PNG exports are
+// bounded whatever the query or the scene bounds ask for
+const MIN_SCALE = 0.1;
+const MAX_SCALE = 4;
+const MAX_PNG_PIXELS = 16 * 1024 * 1024;
+
+const clampScale = (scale) => Math.min(MAX_SCALE, Math.max(MIN_SCALE, Number(scale) || 1));
+
+class ExportService {
+  // Resolves the room's files to Excalidraw BinaryFileData with inline dataURLs
+  async loadFiles(room, fileIds = null) {
+    const files = {};
+    const ids = fileIds || [...(room.files || new Map()).keys()];
+
+    for (const fileId of ids) {
+      const meta = room.files?.get(fileId);
+      if (!meta) continue;
+
+      const file = await fileStore.readFile(meta);
+      if (!file) continue;
+
+      files[fileId] = {
+        id: fileId,
+        mimeType: file.mimeType,
+        dataURL: `data:${file.mimeType};base64,${file.buffer.toString('base64')}`,
+        created: meta.created || Date.now()
+      };
+    }
+    return files;
+  }
+
+  visibleElements(room) {
+    return (room.elements || []).filter(el => el && !el.isDeleted);
+  }
+
+  usedFileIds(elements) {
+    return [...new Set(elements.filter(el => el.type === 'image' && el.fileId).map(el => el.fileId))];
+  }
+
+  // Same shape as the .excalidraw files the Excalidraw app saves and loads
+  async toExcalidrawFile(room) {
+    const elements = this.visibleElements(room);
+
+    return {
+      type: 'excalidraw',
+      version: 2,
+      source: 'horizon-app',
+      elements,
+      appState: {
+        viewBackgroundColor: room.appState?.viewBackgroundColor || '#ffffff',
+        gridSize: room.appState?.gridSize ?? null
+      },
+      files: await this.loadFiles(room, this.usedFileIds(elements))
+    };
+  }
+
+  async toSvg(room, { background = true } = {}) {
+    const elements = this.visibleElements(room);
+    const files = await this.loadFiles(room, this.usedFileIds(elements));
+
+    return renderSceneToSvg(elements, {
+      files,
+      backgroundColor: background ? room.appState?.viewBackgroundColor || '#ffffff' : null
+    });
+  }
+
+  async toPng(room, { background = true, scale = 1 } = {}) {
+    const zoom = clampScale(scale);
+    const svg = await this.toSvg(room, { background });
+    const resvg = new Resvg(svg, {
+      fitTo: { mode: 'zoom', value: zoom },
+      font: { loadSystemFonts: true }
+    });
+
+    const pixels = resvg.width * resvg.height * zoom * zoom;
+    if (!(pixels <= MAX_PNG_PIXELS)) {
+      throw new AppError('Scene is too large to export as PNG at this scale, export SVG instead', {
+        code: 'EXPORT_TOO_LARGE',
+        status: 413,
+        details: { width: resvg.width, height: resvg.height, scale: zoom, maxPixels: MAX_PNG_PIXELS }
+      });
+    }
+    return resvg.render().asPng();
+  }
+
+  /**
+   * Exports a room as { contentType, filename, body }.
+   * Options: background (bool), scale (png only).
+   */
+  async exportRoom(room, format, options = {}) {
+    if (room.encrypted) {
+      throw new AppError('Encrypted rooms can only be exported by a client holding the key', { code: 'ROOM_ENCRYPTED', status: 409 });
+    }
+
+    switch (format) {
+      case 'excalidraw':
+        return {
+          contentType: 'application/vnd.excalidraw+json',
+          filename: `${room.roomId}.excalidraw`,
+          body: JSON.stringify(await this.toExcalidrawFile(room), null, 2)
+        };
+      case 'json':
+        return {
+          contentType: 'application/json',
+          filename: `${room.roomId}.json`,
+          body: JSON.stringify({
+            roomId: room.roomId,
+            version: room.version,
+            lastModified: room.lastModified,
+            elements: room.elements,
+            appState: room.appState,
+            files: await this.loadFiles(room)
+          })
+        };
+      case 'svg':
+        return {
+          contentType: 'image/svg+xml',
+          filename: `${room.roomId}.svg`,
+          body: await this.toSvg(room, options)
+        };
+      case 'png':
+        return {
+          contentType: 'image/png',
+          filename: `${room.roomId}.png`,
+          body: await this.toPng(room, options)
+        };
+      default:
+        throw new AppError(`Unsupported export format: ${format}`, { code: 'UNSUPPORTED_FORMAT', status: 422 });
+    }
+  }
+}
+
+export default new ExportService();
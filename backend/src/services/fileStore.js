@@ -0,0 +1,176 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import mongoose from 'mongoose';
+import { AppError } from '../utils/errors.js';
+import { IMAGE_MIME_TYPES } from '../utils/validation.js';
+
+// Only hashes the store computes itself, they end up in file paths and queries
+export const isFileHash = (hash) => typeof hash === 'string' && /^[0-9a-f]{64}$/.test(hash);
+
+export const isImageMimeType = (mimeType) => IMAGE_MIME_TYPES.includes(mimeType);
+
+const assertFileHash = (hash) => {
+  if (!isFileHash(hash)) {
+    throw new AppError('Invalid file hash', { code: 'INVALID_FILE', status: 422 });
+  }
+};
+
+// Blobs are addressed by the sha256 of their content, so the same image used
+// in many rooms (or uploaded twice) is stored once. Both storages implement
+// has(hash), put(hash, buffer, mimeType) and get(hash) -> Buffer | null.
+
+class DiskStorage {
+  constructor(dir) {
+    this.dir = path.resolve(dir);
+  }
+
+  filePath(hash) {
+    assertFileHash(hash);
+    // Two-level fan out keeps directories small
+    return path.join(this.dir, hash.slice(0, 2), hash);
+  }
+
+  async has(hash) {
+    try {
+      await fs.access(this.filePath(hash));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async put(hash, buffer) {
+    const target = this.filePath(hash);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+
+    // Write then rename so readers never see a partial file
+    const temp = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(temp, buffer);
+    await fs.rename(temp, target);
+  }
+
+  async get(hash) {
+    try {
+      return await fs.readFile(this.filePath(hash));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+}
+
+class GridFSStorage {
+  constructor(bucketName) {
+    this.bucketName = bucketName;
+    this.bucket = null;
+  }
+
+  // Created lazily, the db connection isn't open when the store is configured
+  getBucket() {
+    if (!this.bucket) {
+      this.bucket = new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: this.bucketName });
+    }
+    return this.bucket;
+  }
+
+  async has(hash) {
+    assertFileHash(hash);
+    const file = await this.getBucket().find({ filename: hash }).limit(1).next();
+    return !!file;
+  }
+
+  async put(hash, buffer, mimeType) {
+    assertFileHash(hash);
+    await new Promise((resolve, reject) => {
+      this.getBucket()
+        .openUploadStream(hash, { metadata: { mimeType } })
+        .on('error', reject)
+        .on('finish', resolve)
+        .end(buffer);
+    });
+  }
+
+  async get(hash) {
+    if (!(await this.has(hash))) return null;
+
+    const chunks = [];
+    for await (const chunk of this.getBucket().openDownloadStreamByName(hash)) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+}
+
+const parseDataURL = (dataURL) => {
+  const match = /^data:([^;,]+)?(;base64)?,(.*)$/s.exec(dataURL || '');
+  if (!match) {
+    throw new AppError('Invalid dataURL', { code: 'INVALID_FILE', status: 422 });
+  }
+
+  const [, mimeType = 'application/octet-stream', isBase64, data] = match;
+  const buffer = isBase64 ? Buffer.from(data, 'base64') : Buffer.from(decodeURIComponent(data));
+  return { mimeType, buffer };
+};
+
+class FileStore {
+  constructor() {
+    this.storage = null;
+    this.maxBytes = 5 * 1024 * 1024; // decoded size, must fit the 10mb JSON body limit as base64
+  }
+
+  configure({ driver = 'disk', dir = './data/files', maxBytes } = {}) {
+    this.storage = driver === 'gridfs' ? new GridFSStorage('roomFiles') : new DiskStorage(dir);
+    if (maxBytes) this.maxBytes = maxBytes;
+    console.log(`file store: ${driver === 'gridfs' ? 'GridFS' : `disk (${this.storage.dir})`}`);
+  }
+
+  // Stores the content of an Excalidraw BinaryFileData and returns the
+  // metadata kept on the room in place of the inline dataURL
+  async saveFile({ id, dataURL, mimeType, created }) {
+    const parsed = parseDataURL(dataURL);
+    // Checked here whatever the validation mode, the type is sent back as Content-Type
+    const type = mimeType || parsed.mimeType;
+    if (!isImageMimeType(type)) {
+      throw new AppError('Unsupported file type', { code: 'UNSUPPORTED_FILE_TYPE', status: 415 });
+    }
+    if (parsed.buffer.length > this.maxBytes) {
+      throw new AppError(`File exceeds ${this.maxBytes} bytes`, { code: 'FILE_TOO_LARGE', status: 413 });
+    }
+
+    const hash = crypto.createHash('sha256').update(parsed.buffer).digest('hex');
+    if (!(await this.storage.has(hash))) {
+      await this.storage.put(hash, parsed.buffer, type);
+    }
+
+    return {
+      id,
+      mimeType: type,
+      hash,
+      size: parsed.buffer.length,
+      created: created || Date.now()
+    };
+  }
+
+  // Resolves file metadata to { mimeType, buffer }. Rooms saved before the
+  // file store still carry their dataURL inline.
+  async readFile(meta) {
+    if (!meta.hash && meta.dataURL) {
+      return parseDataURL(meta.dataURL);
+    }
+
+    const buffer = isFileHash(meta.hash) ? await this.storage.get(meta.hash) : null;
+    return buffer ? { mimeType: meta.mimeType, buffer } : null;
+  }
+
+  // Whether content with this hash was stored before, false for anything
+  // that isn't a hash the store computed
+  async hasFile(hash) {
+    return isFileHash(hash) && this.storage.has(hash);
+  }
+}
+
+// Metadata as sent to clients, inline dataURLs of old rooms are left out
+export const toFileMeta = ({ dataURL, ...meta }) => meta;
+
+export default new FileStore();
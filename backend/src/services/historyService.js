@@ -0,0 +1,102 @@
+import RoomSnapshot from '../models/RoomSnapshot.js';
+
+// A drop of this share of live elements (on a board with at least
+// SIGNIFICANT_MIN_ELEMENTS) snapshots the scene before the change lands.
+const SIGNIFICANT_DROP_RATIO = 0.5;
+const SIGNIFICANT_MIN_ELEMENTS = 5;
+
+const countLive = (elements = []) => elements.filter(el => !el.isDeleted).length;
+
+class HistoryService {
+  constructor() {
+    this.intervalMs = 5 * 60 * 1000;
+    this.maxPerRoom = 50;
+    this.lastSnapshotAt = new Map(); // roomId - timestamp of last snapshot
+  }
+
+  configure({ intervalMs, maxPerRoom } = {}) {
+    if (intervalMs) this.intervalMs = intervalMs;
+    if (maxPerRoom) this.maxPerRoom = maxPerRoom;
+  }
+
+  async createSnapshot(room, reason = 'periodic') {
+    // Copy the scene synchronously so later mutations of the room don't leak in
+    const { roomId, version, elements, appState, files } = room.toObject();
+    const snapshot = new RoomSnapshot({
+      roomId,
+      version,
+      reason,
+      elementCount: countLive(elements),
+      elements,
+      appState,
+      files
+    });
+    this.lastSnapshotAt.set(roomId, Date.now());
+
+    try {
+      await snapshot.save();
+      console.log(`snapshot (${reason}) saved for room ${roomId} at v${version}`);
+      await this.prune(roomId);
+      return snapshot;
+    } catch (error) {
+      console.error('Error saving room snapshot:', error);
+      return null;
+    }
+  }
+
+  // Called with the room still holding its current scene, before an update is applied
+  async captureIfSignificant(room, nextElements) {
+    const liveCount = countLive(room.elements);
+    if (liveCount < SIGNIFICANT_MIN_ELEMENTS) return null;
+    if (liveCount - countLive(nextElements) < liveCount * SIGNIFICANT_DROP_RATIO) return null;
+
+    return this.createSnapshot(room, 'significant-change');
+  }
+
+  // Called after an update is applied
+  async captureIfDue(room) {
+    const last = this.lastSnapshotAt.get(room.roomId);
+    if (last === undefined) {
+      // First change seen by this process, start the clock from the latest stored snapshot
+      const latest = await RoomSnapshot.findOne({ roomId: room.roomId })
+        .sort({ createdAt: -1 })
+        .select('createdAt')
+        .lean();
+      this.lastSnapshotAt.set(room.roomId, latest ? latest.createdAt.getTime() : 0);
+      return this.captureIfDue(room);
+    }
+
+    if (Date.now() - last < this.intervalMs) return null;
+    return this.createSnapshot(room, 'periodic');
+  }
+
+  async listSnapshots(roomId) {
+    return RoomSnapshot.find({ roomId })
+      .sort({ createdAt: -1 })
+      .select('roomId version reason elementCount createdAt')
+      .lean();
+  }
+
+  async getSnapshot(roomId, snapshotId) {
+    return RoomSnapshot.findOne({ _id: snapshotId, roomId });
+  }
+
+  async deleteSnapshots(roomId) {
+    const { deletedCount } = await RoomSnapshot.deleteMany({ roomId });
+    return deletedCount;
+  }
+
+  async prune(roomId) {
+    const stale = await RoomSnapshot.find({ roomId })
+      .sort({ createdAt: -1 })
+      .skip(this.maxPerRoom)
+      .select('_id')
+      .lean();
+
+    if (stale.length > 0) {
+      await RoomSnapshot.deleteMany({ _id: { $in: stale.map(s => s._id) } });
+    }
+  }
+}
+
+export default new HistoryService();
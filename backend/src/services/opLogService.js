@@ -0,0 +1,47 @@
+import RoomOperation from '../models/RoomOperation.js';
+
+class OpLogService {
+  /**
+   * Records an applied change. `author` is { socketId, userId }, either may be
+   * null (REST calls have no socket). Callers await it before acking or
+   * broadcasting, so a client told about a version finds its op. A failed
+   * write is only logged, the update it describes stands and resumes across
+   * the gap get the full scene (see roomService.getChangesSince).
+   */
+  async append(room, type, { added = [], updated = [], deleted = [] }, author = {}) {
+    if (added.length === 0 && updated.length === 0 && deleted.length === 0) return;
+
+    try {
+      await RoomOperation.create({
+        roomId: room.roomId,
+        version: room.version,
+        type,
+        socketId: author.socketId || null,
+        userId: author.userId || null,
+        added,
+        updated,
+        deleted
+      });
+    } catch (error) {
+      console.error('op log error:', error.message);
+    }
+  }
+
+  // Operations that produced a version above `since`, oldest first
+  async listSince(roomId, since = 0, limit = 500) {
+    const ops = await RoomOperation.find({ roomId, version: { $gt: since } })
+      .sort({ version: 1 })
+      .limit(limit + 1)
+      .select('-__v')
+      .lean();
+
+    return { ops: ops.slice(0, limit), hasMore: ops.length > limit };
+  }
+
+  async deleteForRoom(roomId) {
+    const { deletedCount } = await RoomOperation.deleteMany({ roomId });
+    return deletedCount;
+  }
+}
+
+export default new OpLogService();
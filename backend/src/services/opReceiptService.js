@@ -0,0 +1,82 @@
+import cacheManager from '../config/cache.js';
+
+// Acks of mutating socket events, kept per client operation id for a while so a
+// client resending after an ack timeout gets the original ack back instead of
+// applying its change twice. Redis makes receipts visible to every node (a retry
+// may arrive over a new connection), memory covers single node setups.
+class OpReceiptService {
+  constructor() {
+    this.ttlMs = 10 * 60 * 1000;
+    this.local = new Map(); // key -> { ack, expiresAt }
+    this.inFlight = new Map(); // key -> Promise of the ack
+  }
+
+  configure({ ttlMs } = {}) {
+    if (ttlMs) this.ttlMs = ttlMs;
+  }
+
+  key(roomId, opId) {
+    return `op:${roomId}:${opId}`;
+  }
+
+  async get(key) {
+    if (cacheManager.isActive()) {
+      const ack = await cacheManager.get(key);
+      if (ack) return ack;
+    }
+
+    const entry = this.local.get(key);
+    if (entry && entry.expiresAt > Date.now()) return entry.ack;
+    this.local.delete(key);
+    return null;
+  }
+
+  async store(key, ack) {
+    this.prune();
+    this.local.set(key, { ack, expiresAt: Date.now() + this.ttlMs });
+
+    if (cacheManager.isActive()) {
+      await cacheManager.set(key, ack, Math.ceil(this.ttlMs / 1000));
+    }
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [key, entry] of this.local) {
+      if (entry.expiresAt <= now) this.local.delete(key);
+    }
+  }
+
+  /**
+   * Runs `apply` once per (roomId, opId) and resolves with its ack. Replays get
+   * the stored ack with `duplicate: true`, also while the first one is still
+   * running. Failed operations aren't stored, the client may retry them.
+   */
+  async once(roomId, opId, apply) {
+    if (!opId) return apply();
+
+    const key = this.key(roomId, opId);
+    if (this.inFlight.has(key)) {
+      return { ...(await this.inFlight.get(key)), duplicate: true };
+    }
+
+    // Registered before the first await so concurrent replays wait on it
+    const running = (async () => {
+      const stored = await this.get(key);
+      if (stored) return { ...stored, duplicate: true };
+
+      const ack = await apply();
+      await this.store(key, ack);
+      return ack;
+    })();
+
+    this.inFlight.set(key, running);
+    try {
+      return await running;
+    } finally {
+      this.inFlight.delete(key);
+    }
+  }
+}
+
+export default new OpReceiptService();
@@ -0,0 +1,103 @@
+const MAX_SAVE_ATTEMPTS = 3;
+
+// A write-behind save may run after another node saved a newer version of the
+// room (this node only drops its copy when told about the change), so it is
+// only written over an older or equal version. A newer one already holds the
+// elements of this copy, it was built on the copy cached in redis.
+const saveUnlessSuperseded = async (room) => {
+  room.$where = { version: { $lte: room.version } };
+  try {
+    await room.save();
+  } catch (error) {
+    if (error.name !== 'DocumentNotFoundError' && error.name !== 'VersionError') throw error;
+    console.log(`room ${room.roomId} v${room.version} is outdated or gone, skipped write-behind save`);
+  } finally {
+    room.$where = undefined;
+  }
+};
+
+// Write-behind saves for room documents. Bursts of changes to a room are
+// coalesced into one save after `delayMs`, and all saves of a room run one
+// after another so Mongoose never sees parallel saves of the same document.
+class PersistenceQueue {
+  constructor() {
+    this.delayMs = 1000;
+    this.pending = new Map(); // roomId - { room, timer, attempts }
+    this.inFlight = new Map(); // roomId - promise of the last queued save
+  }
+
+  configure({ delayMs } = {}) {
+    if (delayMs) this.delayMs = delayMs;
+  }
+
+  // Marks the room dirty, the save happens once the coalescing window ends
+  schedule(room, attempts = 0) {
+    const entry = this.pending.get(room.roomId);
+    if (entry) {
+      entry.room = room;
+      return;
+    }
+
+    const { roomId } = room;
+    const next = { room, timer: null, attempts };
+    next.timer = setTimeout(() => {
+      this.flush(roomId).catch((error) => {
+        console.error(`write-behind save failed for room ${roomId}:`, error.message);
+        // A change queued since then saves the same unsaved paths along with its own
+        if (this.pending.has(roomId)) return;
+        if (next.attempts + 1 < MAX_SAVE_ATTEMPTS) {
+          this.schedule(next.room, next.attempts + 1);
+        }
+      });
+    }, this.delayMs);
+
+    this.pending.set(roomId, next);
+  }
+
+  // Runs fn once every save queued before it for the room has settled
+  run(roomId, fn) {
+    const previous = this.inFlight.get(roomId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(fn);
+    this.inFlight.set(roomId, next);
+
+    next.catch(() => {}).finally(() => {
+      if (this.inFlight.get(roomId) === next) {
+        this.inFlight.delete(roomId);
+      }
+    });
+
+    return next;
+  }
+
+  // Saves the room now if it has pending changes, and waits for saves in flight
+  async flush(roomId) {
+    const entry = this.pending.get(roomId);
+    if (!entry) {
+      return this.inFlight.get(roomId);
+    }
+
+    clearTimeout(entry.timer);
+    this.pending.delete(roomId);
+    return this.run(roomId, () => saveUnlessSuperseded(entry.room));
+  }
+
+  async flushAll() {
+    const roomIds = [...new Set([...this.pending.keys(), ...this.inFlight.keys()])];
+    const results = await Promise.allSettled(roomIds.map(roomId => this.flush(roomId)));
+
+    const failed = results.filter(r => r.status === 'rejected');
+    if (failed.length > 0) {
+      console.error(`write-behind flush: ${failed.length} room saves failed`);
+    }
+  }
+
+  getStats() {
+    return {
+      pendingRooms: this.pending.size,
+      savesInFlight: this.inFlight.size,
+      delayMs: this.delayMs
+    };
+  }
+}
+
+export default new PersistenceQueue();
@@ -0,0 +1,54 @@
+import cacheManager from '../config/cache.js';
+
+// Pointer and idle state are ephemeral: nobody reads them after the fact, so
+// they never reach MongoDB. Each node keeps its own sockets' state in memory
+// and, with redis enabled, mirrors it to a short lived hash per room so
+// every node can answer for the whole room.
+const PRESENCE_TTL_SECONDS = 60;
+
+class PresenceService {
+  constructor() {
+    this.local = new Map(); // roomId -> Map(socketId -> { pointer, idle, lastActive })
+  }
+
+  key(roomId) {
+    return `presence:${roomId}`;
+  }
+
+  async update(roomId, socketId, changes) {
+    if (!this.local.has(roomId)) {
+      this.local.set(roomId, new Map());
+    }
+    const room = this.local.get(roomId);
+    const state = { ...room.get(socketId), ...changes, lastActive: Date.now() };
+    room.set(socketId, state);
+
+    if (cacheManager.isActive()) {
+      await cacheManager.hSet(this.key(roomId), socketId, state, PRESENCE_TTL_SECONDS);
+    }
+    return state;
+  }
+
+  // socketId -> state for everyone in the room
+  async getRoom(roomId) {
+    if (cacheManager.isActive()) {
+      const shared = await cacheManager.hGetAll(this.key(roomId));
+      if (shared) return new Map(Object.entries(shared));
+    }
+    return new Map(this.local.get(roomId) || []);
+  }
+
+  async remove(roomId, socketId) {
+    const room = this.local.get(roomId);
+    if (room) {
+      room.delete(socketId);
+      if (room.size === 0) this.local.delete(roomId);
+    }
+
+    if (cacheManager.isActive()) {
+      await cacheManager.hDel(this.key(roomId), socketId);
+    }
+  }
+}
+
+export default new PresenceService();
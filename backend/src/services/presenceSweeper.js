@@ -0,0 +1,105 @@
+import os from 'os';
+import ServerInstance from '../models/ServerInstance.js';
+import Room from '../models/Room.js';
+import roomService from './roomService.js';
+
+/**
+ * Evicts ghost users, activeUsers connections whose socket is gone, e.g. after
+ * a process crash. A connection is dead when
+ * - it belongs to this node and the socket isn't connected here,
+ * - it belongs to a node whose heartbeat is stale (or that never registered),
+ * - it has no node and the user's lastActive is stale.
+ * Users left without a connection leave the room.
+ * Runs on startup and every sweepIntervalMs.
+ */
+class PresenceSweeper {
+  constructor() {
+    this.io = null;
+    this.nodeId = null;
+    this.heartbeatMs = 15000;
+    this.staleAfterMs = 60000;
+    this.sweepIntervalMs = 60000;
+    this.timers = [];
+  }
+
+  async start(io, nodeId, { heartbeatMs, staleAfterMs, sweepIntervalMs } = {}) {
+    this.io = io;
+    this.nodeId = nodeId;
+    if (heartbeatMs) this.heartbeatMs = heartbeatMs;
+    if (staleAfterMs) this.staleAfterMs = staleAfterMs;
+    if (sweepIntervalMs) this.sweepIntervalMs = sweepIntervalMs;
+
+    await ServerInstance.updateOne(
+      { nodeId },
+      { $set: { hostname: os.hostname(), pid: process.pid, startedAt: new Date(), lastHeartbeat: new Date() } },
+      { upsert: true }
+    );
+    await this.sweep();
+
+    this.timers = [
+      setInterval(() => this.heartbeat(), this.heartbeatMs),
+      setInterval(() => this.sweep(), this.sweepIntervalMs)
+    ];
+  }
+
+  async heartbeat() {
+    try {
+      await ServerInstance.updateOne({ nodeId: this.nodeId }, { $set: { lastHeartbeat: new Date() } });
+    } catch (error) {
+      console.error('Error sending heartbeat:', error.message);
+    }
+  }
+
+  async sweep() {
+    try {
+      const staleBefore = new Date(Date.now() - this.staleAfterMs);
+
+      const instances = await ServerInstance.find({ lastHeartbeat: { $gte: staleBefore } }).select('nodeId').lean();
+      const liveNodes = new Set(instances.map(i => i.nodeId));
+      await ServerInstance.deleteMany({ lastHeartbeat: { $lt: staleBefore } });
+
+      const localSockets = this.io.sockets.sockets;
+      const isDead = (user, connection) => {
+        if (connection.nodeId === this.nodeId) return !localSockets.has(connection.socketId);
+        if (connection.nodeId) return !liveNodes.has(connection.nodeId);
+        return !user.lastActive || user.lastActive < staleBefore;
+      };
+
+      const rooms = await Room.find({ 'activeUsers.0': { $exists: true } })
+        .select('roomId activeUsers.userId activeUsers.connections activeUsers.lastActive')
+        .lean();
+
+      let evicted = 0;
+      for (const room of rooms) {
+        const dead = room.activeUsers.flatMap(user => (user.connections || [])
+          .filter(connection => isDead(user, connection))
+          .map(connection => connection.socketId));
+        if (dead.length === 0) continue;
+
+        const result = await roomService.evictUsers(room.roomId, dead);
+        // Users with another live tab stay in the room
+        for (const userId of result?.left || []) {
+          this.io.to(room.roomId).emit('user-left', { userId });
+        }
+        evicted += dead.length;
+      }
+
+      if (evicted > 0) {
+        console.log(`presence sweep: evicted ${evicted} stale connections`);
+      }
+    } catch (error) {
+      console.error('Error sweeping presence:', error);
+    }
+  }
+
+  // Deregisters the node, so others don't wait for its heartbeat to go stale
+  async stop() {
+    this.timers.forEach(clearInterval);
+    this.timers = [];
+    if (this.nodeId) {
+      await ServerInstance.deleteOne({ nodeId: this.nodeId }).catch(() => {});
+    }
+  }
+}
+
+export default new PresenceSweeper();
@@ -1,16 +1,124 @@
 import Room from '../models/Room.js';
 import cacheManager from '../config/cache.js';
 import { nanoid } from 'nanoid';
+import historyService from './historyService.js';
+import persistenceQueue from './persistenceQueue.js';
+import undoService from './undoService.js';
+import opLogService from './opLogService.js';
+import presenceService from './presenceService.js';
+import webhookService from './webhookService.js';
+import fileStore, { isImageMimeType, toFileMeta } from './fileStore.js';
+import { reconcileElements, reconcileDiff, supersedeElements, bumpElements, diffElements } from '../utils/reconcile.js';
+import { regenerateElementIds } from '../utils/elementIds.js';
+import { AppError } from '../utils/errors.js';
+
+const ROOM_EVENTS_CHANNEL = 'rooms:changed';
+// Past this many incremental updates an encrypted room needs a full scene from a client
+const MAX_ENCRYPTED_UPDATES = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Clients further behind than this get the full scene instead of a catch-up
+const RESUME_MAX_OPS = 1000;
+
+// v1 .excalidrawlib files only have `library`, a list of element arrays
+const toLibraryItems = (library) => library.libraryItems || (library.library || []).map(elements => ({
+  id: nanoid(),
+  status: 'unpublished',
+  elements,
+  created: Date.now()
+}));
+
+// Undo journals belong to the signed in user, or to the socket for anonymous ones
+const actorOf = (author) => author.userId || author.socketId || null;
+
+// Query flags, already booleans when validation passed
+const toBoolean = (value) => {
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  return undefined;
+};
+
+// Query string values may be arrays or objects (?owner[$ne]=x), only plain
+// strings get into queries
+const toText = (value) => (typeof value === 'string' && value ? value : undefined);
+
+const ROOM_STATUSES = ['active', 'archived', 'trashed'];
+
+const assertPlaintext = (room) => {
+  if (room.encrypted) {
+    throw new AppError('Room is end-to-end encrypted, send encrypted payloads', { code: 'ENCRYPTION_REQUIRED', status: 409 });
+  }
+};
+
+const assertEncrypted = (room) => {
+  if (!room.encrypted) {
+    throw new AppError('Room is not encrypted', { code: 'ROOM_NOT_ENCRYPTED', status: 409 });
+  }
+};
 
 class RoomService {
   constructor() {
     this.activeRooms = new Map(); // In-memory cache for active rooms
+    this.nodeId = null;
+    this.subscriber = null;
+    this.retentionDays = 30;
+    this.trashDays = 30;
+  }
+
+  configure({ retentionDays, trashDays } = {}) {
+    if (retentionDays) this.retentionDays = retentionDays;
+    if (trashDays) this.trashDays = trashDays;
+  }
+
+  // Listens for room changes made by other backend nodes, so this node
+  // drops its in-memory copy and reloads the room from redis/db on next use
+  async init(nodeId) {
+    this.nodeId = nodeId;
+
+    // Drops the 7 day TTL index on createdAt that older deployments still carry
+    const dropped = await Room.syncIndexes();
+    if (dropped.length > 0) {
+      console.log(`dropped stale room indexes: ${dropped.join(', ')}`);
+    }
+
+    // activeUsers entries from before users were keyed by user id
+    await Room.updateMany(
+      { activeUsers: { $elemMatch: { userId: { $exists: false } } } },
+      { $pull: { activeUsers: { userId: { $exists: false } } } }
+    );
+
+    // Rooms saved before search existed, in the background
+    this.backfillSearchText().catch(err => console.error('search text backfill failed:', err.message));
+
+    this.subscriber = await cacheManager.subscribe(ROOM_EVENTS_CHANNEL, (message) => {
+      if (message.nodeId === this.nodeId) return;
+      if (this.activeRooms.delete(message.roomId)) {
+        console.log(`room ${message.roomId} changed on node ${message.nodeId} (v${message.version}), dropped local copy`);
+      }
+    });
+  }
+
+  async cacheRoom(room) {
+    this.activeRooms.set(room.roomId, room);
+    await cacheManager.set(`room:${room.roomId}`, room.toObject({ flattenMaps: true }), 7200);
+    await cacheManager.publish(ROOM_EVENTS_CHANNEL, {
+      nodeId: this.nodeId,
+      roomId: room.roomId,
+      version: room.version
+    });
   }
 
-  async createRoom(roomId = null) {
+  /**
+   * Creates a room, or returns the existing one with that id.
+   * `seed` pre-fills the scene: { elements, appState, files, libraryItems }
+   * for plaintext rooms, { encryptedScene, encryptedUpdates } for encrypted ones.
+   */
+  async createRoom(roomId = null, ownerId = null, { encrypted = false, seed = null } = {}) {
     try {
       const id = roomId || nanoid(10);
       const existing = await Room.findOne({ roomId: id });
+      if (existing?.status === 'trashed') {
+        throw new AppError('Room is in the trash, restore it first', { code: 'ROOM_TRASHED', status: 410 });
+      }
       if (existing) {
         return existing;
       }
@@ -26,16 +134,28 @@ class RoomService {
         },
         files: new Map(),
         activeUsers: [],
+        ownerId,
+        members: [],
+        encrypted,
         version: 1
       });
 
+      if (seed) {
+        room.elements = seed.elements || [];
+        room.appState = { ...room.appState, ...(seed.appState || {}) };
+        room.files = new Map(Object.entries(seed.files || {}));
+        room.libraryItems = seed.libraryItems || [];
+        room.encryptedScene = seed.encryptedScene || null;
+        room.encryptedUpdates = seed.encryptedUpdates || [];
+      }
+
       await room.save();
 
       // Cache the room
-      this.activeRooms.set(id, room);
-      await cacheManager.set(`room:${id}`, room.toObject(), 7200);
+      await this.cacheRoom(room);
 
       console.log(`room created: ${id}`);
+      webhookService.emit('room.created', id, { ownerId, encrypted });
       return room;
     } catch (error) {
       console.error('rrror creating room:', error);
@@ -43,7 +163,7 @@ class RoomService {
     }
   }
 
-  async getRoom(roomId, createIfNotExists = true) {
+  async getRoom(roomId, createIfNotExists = true, { includeTrashed = false } = {}) {
     try {
       // Check in-memory cache first
       if (this.activeRooms.has(roomId)) {
@@ -54,7 +174,8 @@ class RoomService {
       if (cacheManager.isActive()) {
         const cached = await cacheManager.get(`room:${roomId}`);
         if (cached) {
-          const room = new Room(cached);
+          // hydrate, not new Room(): the cached room already exists in the db
+          const room = Room.hydrate(cached);
           this.activeRooms.set(roomId, room);
           return room;
         }
@@ -65,6 +186,11 @@ class RoomService {
       let room = await Room.findOne({ roomId }).maxTimeMS(5000);
       console.log(`db Result: ${room ? 'Found' : 'Not Found'}`);
 
+      // Trashed rooms are only reachable for restore, and never cached
+      if (room?.status === 'trashed') {
+        return includeTrashed ? room : null;
+      }
+
       if (!room && createIfNotExists) {
         console.log(`creating new room: ${roomId}`);
         room = await this.createRoom(roomId);
@@ -72,7 +198,7 @@ class RoomService {
 
       if (room) {
         this.activeRooms.set(roomId, room);
-        await cacheManager.set(`room:${roomId}`, room.toObject(), 7200);
+        await cacheManager.set(`room:${roomId}`, room.toObject({ flattenMaps: true }), 7200);
       }
 
       return room;
@@ -82,20 +208,41 @@ class RoomService {
     }
   }
 
-  async updateRoomElements(roomId, elements, appState = null, files = null) {
+  /**
+   * Merges a full scene into the room. Elements another user has claimed keep
+   * their stored state. Returns { room, rejected } with the ids that were refused.
+   * `author` ({ socketId, userId }) is recorded with the change in the op log.
+   */
+  async updateRoomElements(roomId, elements, appState = null, files = null, author = {}) {
     try {
+      // Older clients still send images inline, move them to the file store
+      const storedFiles = files ? await this.ingestFiles(files) : null;
+
       const room = await this.getRoom(roomId);
       if (!room) {
         throw new Error('Room not found');
       }
+      assertPlaintext(room);
 
-      room.elements = elements;
+      const reconciled = reconcileElements(room.elements, elements);
+      const storedById = new Map(room.elements.map(el => [el.id, el]));
+      const claimed = this.claimedByOthers(room, author.socketId);
+      const rejected = reconciled
+        .filter(el => claimed.has(el.id) && storedById.get(el.id) !== el)
+        .map(el => el.id);
+      const nextElements = rejected.length > 0
+        ? reconciled.map(el => (claimed.has(el.id) ? storedById.get(el.id) : el)).filter(Boolean)
+        : reconciled;
+      historyService.captureIfSignificant(room, nextElements);
+      const changes = diffElements(room.elements, nextElements);
+
+      room.elements = nextElements;
       if (appState) {
         const current = room.appState || {};
         room.appState = { ...current, ...appState };
       }
-      if (files) {
-        room.files = new Map(Object.entries(files));
+      if (storedFiles) {
+        room.files = new Map([...(room.files || new Map()), ...storedFiles]);
       }
       room.version += 1;
       room.lastModified = new Date();
@@ -104,61 +251,716 @@ class RoomService {
       room.markModified('appState');
       room.markModified('files');
 
-      await room.save();
+      // Saved by the write-behind queue, bursts of updates share one save
+      persistenceQueue.schedule(room);
+      await opLogService.append(room, 'scene', changes, author);
 
       // Update caches
-      this.activeRooms.set(roomId, room);
-      await cacheManager.set(`room:${roomId}`, room.toObject(), 7200);
+      await this.cacheRoom(room);
+      webhookService.sceneChanged(roomId, room.version);
 
-      return room;
+      historyService.captureIfDue(room).catch(err => console.error('snapshot error:', err.message));
+
+      return { room, rejected };
     } catch (error) {
       console.error('Error updating room elements:', error);
       throw error;
     }
   }
 
-  async incrementalUpdate(roomId, updates) {
+  // Edits a client queued while offline. They are reconciled in place so the
+  // stored z-order is kept, elements created offline go on top. Returns what
+  // updateRoomElements does.
+  async applyPendingElements(roomId, pendingElements, author = {}) {
+    const room = await this.getRoom(roomId, false);
+    if (!room) {
+      throw new AppError('Room not found', { code: 'ROOM_NOT_FOUND', status: 404 });
+    }
+
+    const pendingById = new Map(pendingElements.map(el => [el.id, el]));
+    const storedIds = new Set(room.elements.map(el => el.id));
+    const incoming = room.elements
+      .map(el => pendingById.get(el.id) || el)
+      .concat(pendingElements.filter(el => !storedIds.has(el.id)));
+
+    return this.updateRoomElements(roomId, incoming, null, null, author);
+  }
+
+  /**
+   * Applies an added/updated/deleted diff. Entries are reconciled per element
+   * (see reconcileDiff), stale ones and entries for elements another user has
+   * claimed are dropped. Returns { room, updates, rejected }
+   * with the diff as applied and the ids that were refused.
+   * The update is logged and recorded in the undo journal of `author`.
+   */
+  async incrementalUpdate(roomId, diff, { author = {} } = {}) {
     try {
       const room = await this.getRoom(roomId);
       if (!room) {
         throw new Error('Room not found');
       }
+      assertPlaintext(room);
+
+      // Late updates older than what is stored are dropped, like peers drop them
+      const { stale, ...reconciled } = reconcileDiff(room.elements, diff);
+      if (stale.length > 0) {
+        console.log(`dropped ${stale.length} stale element updates in room ${roomId}`);
+      }
 
-      await room.incrementalUpdate(updates);
+      const claimed = this.claimedByOthers(room, author.socketId);
+      const rejected = [...reconciled.added, ...reconciled.updated]
+        .map(el => el.id)
+        .concat(reconciled.deleted)
+        .filter(id => claimed.has(id));
+      const updates = rejected.length > 0
+        ? {
+          added: reconciled.added.filter(el => !claimed.has(el.id)),
+          updated: reconciled.updated.filter(el => !claimed.has(el.id)),
+          deleted: reconciled.deleted.filter(id => !claimed.has(id))
+        }
+        : reconciled;
+
+      const isEmpty = ['added', 'updated', 'deleted'].every(key => !updates[key]?.length);
+      if (isEmpty) {
+        return { room, updates, rejected };
+      }
+
+      const removedIds = new Set([
+        ...(updates.deleted || []),
+        ...(updates.updated || []).filter(el => el.isDeleted).map(el => el.id)
+      ]);
+      historyService.captureIfSignificant(
+        room,
+        room.elements.filter(el => !removedIds.has(el.id)).concat(updates.added || [])
+      );
+
+      const touchedIds = [
+        ...(updates.added || []).map(el => el.id),
+        ...(updates.updated || []).map(el => el.id),
+        ...(updates.deleted || [])
+      ];
+      const changesOf = undoService.capture(room.elements, touchedIds);
+
+      room.applyIncrementalUpdate(updates);
+      persistenceQueue.schedule(room);
+
+      // Recorded before awaiting, other updates may change room.elements meanwhile
+      undoService.record(roomId, actorOf(author), changesOf(room.elements));
+      await opLogService.append(room, 'incremental', updates, author);
 
       // Update caches
-      this.activeRooms.set(roomId, room);
-      await cacheManager.set(`room:${roomId}`, room.toObject(), 7200);
+      await this.cacheRoom(room);
+      webhookService.sceneChanged(roomId, room.version);
 
-      return room;
+      historyService.captureIfDue(room).catch(err => console.error('snapshot error:', err.message));
+
+      return { room, updates, rejected };
     } catch (error) {
       console.error('Error in incremental update:', error);
       throw error;
     }
   }
 
-  async addUser(roomId, socketId, username, color) {
+  /**
+   * Undoes (stack 'undo') or redoes (stack 'redo') the author's last operation.
+   * Elements another user has claimed are left alone. Returns
+   * { room, added, updated, conflicts, rejected } with the elements as applied
+   * and the claimed ids, or null when there is nothing to revert.
+   */
+  async revertOperation(roomId, author, stack) {
+    try {
+      const room = await this.getRoom(roomId, false);
+      if (!room) {
+        throw new AppError('Room not found', { code: 'ROOM_NOT_FOUND', status: 404 });
+      }
+      assertPlaintext(room);
+
+      const revert = undoService.revert(roomId, actorOf(author), stack, room.elements);
+      if (!revert) {
+        return null;
+      }
+      const claimed = this.claimedByOthers(room, author.socketId);
+      const rejected = revert.elements.filter(el => claimed.has(el.id)).map(el => el.id);
+      const reverted = revert.elements.filter(el => !claimed.has(el.id));
+      if (reverted.length === 0) {
+        throw new AppError(`Nothing left to ${stack}, the elements were changed or claimed by someone else`, {
+          code: 'UNDO_CONFLICT',
+          status: 409,
+          details: { elementIds: revert.conflicts, claimedElementIds: rejected }
+        });
+      }
+
+      // Bumped so peers accept them over the versions they hold
+      const elements = bumpElements(room.elements, reverted);
+      const indexById = new Map(room.elements.map((el, i) => [el.id, i]));
+      const added = [];
+      const updated = [];
+
+      for (const el of elements) {
+        if (indexById.has(el.id)) {
+          room.elements[indexById.get(el.id)] = el;
+          updated.push(el);
+        } else {
+          room.elements.push(el);
+          added.push(el);
+        }
+      }
+
+      room.version += 1;
+      room.lastModified = new Date();
+      room.markModified('elements');
+      persistenceQueue.schedule(room);
+
+      revert.commit(elements);
+      await opLogService.append(room, stack, { added, updated }, author);
+
+      // Update caches
+      await this.cacheRoom(room);
+      webhookService.sceneChanged(roomId, room.version);
+
+      return { room, added, updated, conflicts: revert.conflicts, rejected };
+    } catch (error) {
+      console.error(`Error in ${stack}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Elements changed since `since`, from the op log: { elements, deleted }
+   * with the current state of changed elements and the ids removed for good.
+   * Returns null when the client has to load the full scene instead.
+   */
+  async getChangesSince(room, since) {
+    if (room.encrypted || since > room.version) return null;
+    if (since === room.version) return { elements: [], deleted: [] };
+
+    const { ops, hasMore } = await opLogService.listSince(room.roomId, since, RESUME_MAX_OPS);
+    // Only an unbroken run of ops up to the current version covers everything.
+    // Gaps come from changes before the op log, failed log writes, updates
+    // still being logged and changes without element ops (appState only).
+    const complete = !hasMore
+      && ops.length === room.version - since
+      && ops.every((op, i) => op.version === since + i + 1);
+    if (!complete) return null;
+
+    const touched = new Set(ops.flatMap(op => [
+      ...op.added.map(el => el.id),
+      ...op.updated.map(el => el.id),
+      ...op.deleted
+    ]));
+    const currentById = new Map(room.elements.map(el => [el.id, el]));
+
+    return {
+      elements: [...touched].filter(id => currentById.has(id)).map(id => currentById.get(id)),
+      deleted: [...touched].filter(id => !currentById.has(id))
+    };
+  }
+
+  // Encrypted rooms: the server stores and relays blobs without reading them
+
+  async updateEncryptedScene(roomId, blob) {
+    try {
+      const room = await this.getRoom(roomId);
+      if (!room) {
+        throw new Error('Room not found');
+      }
+      assertEncrypted(room);
+
+      // A full scene supersedes every update sent before it
+      room.encryptedScene = { ciphertext: blob.ciphertext, iv: blob.iv };
+      room.encryptedUpdates = [];
+      room.version += 1;
+      room.lastModified = new Date();
+
+      room.markModified('encryptedScene');
+      room.markModified('encryptedUpdates');
+      persistenceQueue.schedule(room);
+
+      // Update caches
+      await this.cacheRoom(room);
+      webhookService.sceneChanged(roomId, room.version);
+
+      return room;
+    } catch (error) {
+      console.error('Error updating encrypted scene:', error);
+      throw error;
+    }
+  }
+
+  async appendEncryptedUpdate(roomId, blob) {
     try {
       const room = await this.getRoom(roomId);
       if (!room) {
         throw new Error('Room not found');
       }
+      assertEncrypted(room);
+
+      if (room.encryptedUpdates.length >= MAX_ENCRYPTED_UPDATES) {
+        throw new AppError('Too many pending updates, send a full encrypted scene', { code: 'FULL_SCENE_REQUIRED', status: 409 });
+      }
+
+      room.version += 1;
+      room.lastModified = new Date();
+      room.encryptedUpdates.push({ ciphertext: blob.ciphertext, iv: blob.iv, version: room.version });
+
+      room.markModified('encryptedUpdates');
+      persistenceQueue.schedule(room);
+
+      // Update caches
+      await this.cacheRoom(room);
+      webhookService.sceneChanged(roomId, room.version);
+
+      return room;
+    } catch (error) {
+      console.error('Error appending encrypted update:', error);
+      throw error;
+    }
+  }
+
+  async restoreSnapshot(roomId, snapshot, author = {}) {
+    try {
+      const room = await this.getRoom(roomId, false);
+      if (!room) {
+        return null;
+      }
+      assertPlaintext(room);
+
+      await historyService.createSnapshot(room, 'pre-restore');
+
+      const { elements, appState, files } = snapshot.toObject();
+      const previous = room.elements;
+      room.elements = supersedeElements(room.elements, elements);
+      if (appState) {
+        room.appState = appState;
+      }
+      room.files = new Map([...(room.files || new Map()), ...(files || new Map())]);
+      room.version += 1;
+      room.lastModified = new Date();
+
+      room.markModified('elements');
+      room.markModified('appState');
+      room.markModified('files');
+
+      // Logged first, room.version may move on while the save is awaited
+      await opLogService.append(room, 'restore', diffElements(previous, room.elements), author);
+      await persistenceQueue.run(roomId, () => room.save());
+
+      // Update caches
+      await this.cacheRoom(room);
+      webhookService.sceneChanged(roomId, room.version);
+
+      console.log(`room ${roomId} restored to snapshot ${snapshot._id} (v${snapshot.version})`);
+      return room;
+    } catch (error) {
+      console.error('Error restoring room snapshot:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Imports an .excalidraw scene and/or library items into the room.
+   * `merge` adds the imported elements on top of the scene (same ids are
+   * overwritten), `replace` swaps the scene out after a pre-import snapshot.
+   */
+  async importScene(roomId, { scene = null, libraries = [], mode = 'merge' }, author = {}) {
+    try {
+      const room = await this.getRoom(roomId, false);
+      if (!room) {
+        return null;
+      }
+      assertPlaintext(room);
+      const previous = room.elements;
+
+      if (scene) {
+        const storedFiles = scene.files ? await this.ingestFiles(scene.files) : [];
+
+        if (mode === 'replace') {
+          await historyService.createSnapshot(room, 'pre-import');
+          room.elements = supersedeElements(room.elements, scene.elements);
+          if (scene.appState?.viewBackgroundColor) {
+            room.appState = { ...(room.appState || {}), viewBackgroundColor: scene.appState.viewBackgroundColor };
+          }
+        } else {
+          // Bumped so they win over what clients hold for the same ids
+          const imported = bumpElements(room.elements, scene.elements);
+          const importedById = new Map(imported.map(el => [el.id, el]));
+          const existingIds = new Set(room.elements.map(el => el.id));
+
+          room.elements = room.elements
+            .map(el => importedById.get(el.id) || el)
+            .concat(imported.filter(el => !existingIds.has(el.id)));
+        }
+
+        room.files = new Map([...(room.files || new Map()), ...storedFiles]);
+        room.markModified('elements');
+        room.markModified('appState');
+        room.markModified('files');
+      }
+
+      const libraryItems = libraries.flatMap(toLibraryItems);
+      if (libraryItems.length > 0) {
+        const importedIds = new Set(libraryItems.map(item => item.id));
+        room.libraryItems = (room.libraryItems || [])
+          .filter(item => !importedIds.has(item.id))
+          .concat(libraryItems);
+        room.markModified('libraryItems');
+      }
+
+      room.version += 1;
+      room.lastModified = new Date();
+
+      // Logged first, room.version may move on while the save is awaited
+      await opLogService.append(room, 'import', diffElements(previous, room.elements), author);
+      await persistenceQueue.run(roomId, () => room.save());
+
+      // Update caches
+      await this.cacheRoom(room);
+      webhookService.sceneChanged(roomId, room.version);
+
+      console.log(`imported into room ${roomId} (${mode}): ${scene?.elements.length || 0} elements, ${libraryItems.length} library items`);
+      return room;
+    } catch (error) {
+      console.error('Error importing scene:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Copies a room's scene into a new room. File content is shared through the
+   * content addressed store, only the metadata is copied. With `freshIds` the
+   * elements get new ids, which encrypted rooms can't support.
+   */
+  async cloneRoom(source, { roomId = null, ownerId = null, freshIds = false } = {}) {
+    try {
+      if (roomId && await Room.exists({ roomId })) {
+        throw new AppError(`Room ${roomId} already exists`, { code: 'ROOM_EXISTS', status: 409 });
+      }
+      if (source.encrypted && freshIds) {
+        throw new AppError('Element ids of encrypted rooms can only be changed by a client holding the key', { code: 'ROOM_ENCRYPTED', status: 409 });
+      }
+
+      const { elements, appState, files, libraryItems, encryptedScene, encryptedUpdates } = source.toObject({ flattenMaps: true });
+      const liveElements = elements.filter(el => el && !el.isDeleted);
+
+      const room = await this.createRoom(roomId, ownerId, {
+        encrypted: source.encrypted,
+        seed: source.encrypted
+          ? { encryptedScene, encryptedUpdates }
+          : {
+              elements: freshIds ? regenerateElementIds(liveElements) : liveElements,
+              // Keep the look of the board, not the viewport it was left at
+              appState: { viewBackgroundColor: appState?.viewBackgroundColor, gridSize: appState?.gridSize ?? null },
+              files,
+              libraryItems
+            }
+      });
+
+      console.log(`room ${source.roomId} cloned to ${room.roomId}${freshIds ? ' (fresh ids)' : ''}`);
+      return room;
+    } catch (error) {
+      console.error('Error cloning room:', error);
+      throw error;
+    }
+  }
+
+  async setTemplate(roomId, isTemplate, name = null) {
+    try {
+      const room = await this.getRoom(roomId, false);
+      if (!room) {
+        return null;
+      }
+
+      room.isTemplate = isTemplate;
+      room.templateName = isTemplate ? name || room.templateName || room.roomId : null;
+      await persistenceQueue.run(roomId, () => room.save());
+
+      // Update caches
+      await this.cacheRoom(room);
+
+      return room;
+    } catch (error) {
+      console.error('Error updating template flag:', error);
+      throw error;
+    }
+  }
+
+  async listTemplates() {
+    const templates = await Room.find({ isTemplate: true })
+      .select('roomId templateName ownerId encrypted elements lastModified')
+      .sort({ templateName: 1 })
+      .lean();
+
+    return templates.map(t => ({
+      roomId: t.roomId,
+      name: t.templateName,
+      ownerId: t.ownerId,
+      encrypted: t.encrypted,
+      elementCount: (t.elements || []).filter(el => !el.isDeleted).length,
+      lastModified: t.lastModified
+    }));
+  }
+
+  /**
+   * Rooms matching `options`, without their scenes. Options: q (text search
+   * over title, tags, description, scene name and text elements), owner, tag,
+   * active (someone is in the room), status (trashed rooms only when asked
+   * for), sort (lastModified | createdAt | relevance), order, page, limit.
+   * `access` is a filter for the rooms the caller may see.
+   * Resolves to { rooms, total, page, limit }.
+   */
+  async listRooms(options = {}, { access = {} } = {}) {
+    const page = Math.max(1, parseInt(options.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(options.limit) || 20));
+    const q = toText(options.q)?.trim() || '';
+    const active = toBoolean(options.active);
+    const status = ROOM_STATUSES.includes(options.status) ? options.status : undefined;
+    const owner = toText(options.owner);
+    const tag = toText(options.tag)?.trim().toLowerCase();
+
+    const conditions = [
+      access,
+      status ? { status } : { status: { $ne: 'trashed' } }
+    ];
+    if (owner) conditions.push({ ownerId: owner });
+    if (tag) conditions.push({ tags: tag });
+    if (active !== undefined) conditions.push({ 'activeUsers.0': { $exists: active } });
+
+    const query = { $and: conditions };
+    if (q) query.$text = { $search: q };
+
+    const direction = options.order === 'asc' ? 1 : -1;
+    const field = options.sort === 'createdAt' ? 'createdAt' : 'lastModified';
+    const sort = q && options.sort === 'relevance'
+      ? { score: { $meta: 'textScore' }, lastModified: -1 }
+      : { [field]: direction, _id: direction };
+
+    const [rooms, total] = await Promise.all([
+      Room.find(query)
+        .select('roomId title description tags appState.name ownerId encrypted isTemplate status pinned activeUsers.userId version lastModified createdAt')
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Room.countDocuments(query)
+    ]);
+
+    return {
+      rooms: rooms.map(r => ({
+        roomId: r.roomId,
+        title: r.title || '',
+        description: r.description || '',
+        tags: r.tags || [],
+        name: r.appState?.name || null,
+        ownerId: r.ownerId,
+        encrypted: r.encrypted,
+        isTemplate: r.isTemplate,
+        status: r.status,
+        pinned: r.pinned,
+        activeUsers: (r.activeUsers || []).length,
+        version: r.version,
+        lastModified: r.lastModified,
+        createdAt: r.createdAt
+      })),
+      total,
+      page,
+      limit
+    };
+  }
+
+  async backfillSearchText() {
+    const cursor = Room.find({ searchText: { $exists: false }, encrypted: { $ne: true } })
+      .select('elements appState')
+      .lean()
+      .cursor();
+
+    let count = 0;
+    for await (const room of cursor) {
+      await Room.updateOne({ _id: room._id }, { $set: { searchText: Room.searchTextOf(room) } });
+      count++;
+    }
+    if (count > 0) {
+      console.log(`indexed text of ${count} rooms for search`);
+    }
+  }
+
+  // Returns [fileId, metadata] entries for files in a scene-update payload.
+  // Metadata without content is only taken for content the store already has,
+  // the hash is never trusted to name anything else.
+  async ingestFiles(files) {
+    const stored = [];
+    for (const [fileId, file] of Object.entries(files)) {
+      if (file?.dataURL) {
+        stored.push([fileId, await fileStore.saveFile({ ...file, id: fileId })]);
+      } else if (file?.hash && isImageMimeType(file.mimeType) && await fileStore.hasFile(file.hash)) {
+        stored.push([fileId, {
+          id: fileId,
+          mimeType: file.mimeType,
+          hash: file.hash,
+          size: Number(file.size) || 0,
+          created: Number(file.created) || Date.now()
+        }]);
+      }
+    }
+    return stored;
+  }
+
+  async addFile(roomId, fileId, file) {
+    try {
+      const room = await this.getRoom(roomId, false);
+      if (!room) {
+        return null;
+      }
 
-      console.log(`adding user ${socketId} to room ${roomId}`);
-      await room.addUser(socketId, username, color);
-      console.log(`user ${socketId} added successfully`);
+      const meta = await fileStore.saveFile({ ...file, id: fileId });
+      room.files.set(fileId, meta);
+      room.markModified('files');
+      persistenceQueue.schedule(room);
+
+      // Update caches
+      await this.cacheRoom(room);
+
+      return meta;
+    } catch (error) {
+      console.error('Error adding file:', error);
+      throw error;
+    }
+  }
+
+  async getFile(roomId, fileId) {
+    const room = await this.getRoom(roomId, false);
+    const meta = room?.files?.get(fileId);
+    if (!meta) {
+      return null;
+    }
+    return fileStore.readFile(meta);
+  }
+
+  // File metadata (no content) for the given ids, or for all files of the room
+  getFilesMeta(room, fileIds = null) {
+    const files = room.files || new Map();
+    const ids = fileIds || [...files.keys()];
+
+    return Object.fromEntries(
+      ids.filter(id => files.has(id)).map(id => [id, toFileMeta(files.get(id))])
+    );
+  }
+
+  async setMemberRole(roomId, userId, role) {
+    try {
+      const room = await this.getRoom(roomId, false);
+      if (!room) {
+        return null;
+      }
+
+      await persistenceQueue.run(roomId, () => room.setMemberRole(userId, role));
 
       // Update caches
-      this.activeRooms.set(roomId, room);
-      await cacheManager.set(`room:${roomId}`, room.toObject(), 7200);
+      await this.cacheRoom(room);
 
       return room;
+    } catch (error) {
+      console.error('Error setting member role:', error);
+      throw error;
+    }
+  }
+
+  async removeMember(roomId, userId) {
+    try {
+      const room = await this.getRoom(roomId, false);
+      if (!room) {
+        return null;
+      }
+
+      await persistenceQueue.run(roomId, () => room.removeMember(userId));
+
+      // Update caches
+      await this.cacheRoom(room);
+
+      return room;
+    } catch (error) {
+      console.error('Error removing member:', error);
+      throw error;
+    }
+  }
+
+  async createShareLink(roomId, role, createdBy = null) {
+    try {
+      const room = await this.getRoom(roomId, false);
+      if (!room) {
+        return null;
+      }
+
+      const linkId = nanoid(12);
+      await persistenceQueue.run(roomId, () => room.addShareLink(linkId, role, createdBy));
+
+      // Update caches
+      await this.cacheRoom(room);
+
+      return room.getShareLink(linkId);
+    } catch (error) {
+      console.error('Error creating share link:', error);
+      throw error;
+    }
+  }
+
+  async revokeShareLink(roomId, linkId) {
+    try {
+      const room = await this.getRoom(roomId, false);
+      if (!room) {
+        return null;
+      }
+
+      await persistenceQueue.run(roomId, () => room.revokeShareLink(linkId));
+
+      // Update caches
+      await this.cacheRoom(room);
+
+      return room;
+    } catch (error) {
+      console.error('Error revoking share link:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Adds a socket of `identity` ({ userId, username, color }) to the room.
+   * Resolves to { room, joined }, `joined` is false for another tab of a
+   * user already in the room.
+   */
+  async addUser(roomId, socketId, identity) {
+    try {
+      const room = await this.getRoom(roomId);
+      if (!room) {
+        throw new Error('Room not found');
+      }
+
+      // Opening an archived room brings it back
+      if (room.status === 'archived') {
+        room.status = 'active';
+        room.archivedAt = null;
+        console.log(`room ${roomId} unarchived`);
+      }
+
+      const joined = !room.activeUsers.some(u => u.userId === identity.userId);
+      console.log(`adding user ${identity.userId} (${socketId}) to room ${roomId}`);
+      await persistenceQueue.run(roomId, () => room.addUser(identity, socketId, this.nodeId));
+      console.log(`user ${identity.userId} added successfully`);
+
+      // Update caches
+      await this.cacheRoom(room);
+
+      if (joined) {
+        webhookService.emit('user.joined', roomId, { userId: identity.userId, username: identity.username });
+      }
+
+      return { room, joined };
     } catch (error) {
       console.error('Error adding user:', error);
       throw error;
     }
   }
 
+  // Resolves to { room, left }, `left` is the user id when that was their last connection
   async removeUser(roomId, socketId) {
     try {
       const room = await this.getRoom(roomId, false);
@@ -166,60 +968,159 @@ class RoomService {
         return null;
       }
 
-      await room.removeUser(socketId);
+      const user = room.findUserBySocket(socketId);
+      await persistenceQueue.run(roomId, () => room.removeUser(socketId));
+      // Anything still coalescing for this room is written when someone leaves
+      await persistenceQueue.flush(roomId);
 
       // Update caches
-      this.activeRooms.set(roomId, room);
-      await cacheManager.set(`room:${roomId}`, room.toObject(), 7200);
+      await this.cacheRoom(room);
 
       // Clean up empty rooms
       if (room.activeUsers.length === 0) {
         setTimeout(() => this.cleanupEmptyRoom(roomId), 60000); // Clean after 1 minute
       }
 
-      return room;
+      const left = user && !room.activeUsers.some(u => u.userId === user.userId) ? user.userId : null;
+      if (left) {
+        webhookService.emit('user.left', roomId, { userId: left, username: user.username });
+      }
+      return { room, left };
     } catch (error) {
       console.error('Error removing user:', error);
       throw error;
     }
   }
 
-  async updateUserPointer(roomId, socketId, pointer) {
+  // Claims belong to the user, so all tabs of the socket's user may edit them
+  claimedByOthers(room, socketId) {
+    return new Set(room.activeUsers
+      .filter(u => !u.connections.some(c => c.socketId === socketId))
+      .flatMap(u => u.claimedElementIds || []));
+  }
+
+  /**
+   * Records a user's selection. With `claim` the selected elements not yet
+   * claimed by someone else become exclusively editable by this user, without
+   * it the user's claims are released. Claims go away when the user leaves.
+   * Returns { selectedElementIds, claimedElementIds, denied } or null.
+   */
+  async updateUserSelection(roomId, socketId, selectedElementIds, claim = false) {
     try {
-      // Usieng direct atomic update to avoid ParallelSaveError and locking
-      await Room.updateOne(
-        { roomId, 'activeUsers.socketId': socketId },
-        {
-          $set: {
-            'activeUsers.$.pointer': pointer,
-            'activeUsers.$.lastActive': new Date()
-          }
-        }
-      );
+      const room = await this.getRoom(roomId, false);
+      const user = room?.findUserBySocket(socketId);
+      if (!user) {
+        return null;
+      }
 
-      // Update in-memory cache for the specific user object
-      const room = this.activeRooms.get(roomId);
-      if (room) {
-        const user = room.activeUsers.find(u => u.socketId === socketId);
-        if (user) {
-          user.pointer = pointer;
-          user.lastActive = new Date();
-        }
+      const claimed = this.claimedByOthers(room, socketId);
+      const denied = claim ? selectedElementIds.filter(id => claimed.has(id)) : [];
+
+      user.selectedElementIds = selectedElementIds;
+      user.claimedElementIds = claim ? selectedElementIds.filter(id => !claimed.has(id)) : [];
+      user.lastActive = new Date();
+      persistenceQueue.schedule(room);
+
+      // Update caches, other nodes check claims against the shared copy
+      await this.cacheRoom(room);
+
+      return {
+        userId: user.userId,
+        username: user.username,
+        color: user.color,
+        selectedElementIds: user.selectedElementIds,
+        claimedElementIds: user.claimedElementIds,
+        denied
+      };
+    } catch (error) {
+      console.error('Error updating user selection:', error);
+      throw error;
+    }
+  }
+
+  // Removes connections whose sockets are gone (see presenceSweeper).
+  // Resolves to { room, left } with the ids of users left without a connection.
+  async evictUsers(roomId, socketIds) {
+    try {
+      const room = await this.getRoom(roomId, false);
+      if (!room) {
+        return null;
+      }
+
+      const before = room.activeUsers.map(u => u.userId);
+      await persistenceQueue.run(roomId, () => room.removeConnections(socketIds));
+      const remaining = new Set(room.activeUsers.map(u => u.userId));
+
+      for (const socketId of socketIds) {
+        undoService.forget(roomId, socketId);
+        await presenceService.remove(roomId, socketId);
+      }
+
+      // Update caches
+      await this.cacheRoom(room);
+
+      if (room.activeUsers.length === 0) {
+        setTimeout(() => this.cleanupEmptyRoom(roomId), 60000);
+      }
+
+      const left = before.filter(userId => !remaining.has(userId));
+      for (const userId of left) {
+        webhookService.emit('user.left', roomId, { userId, evicted: true });
       }
-      return true;
+      return { room, left };
     } catch (error) {
-      console.error('Error updating user pointer:', error);
+      console.error('Error evicting users:', error);
+      throw error;
+    }
+  }
+
+  // Who is in the room, with their last pointer, selection and idle state
+  async getPresence(roomId) {
+    const room = await this.getRoom(roomId, false);
+    if (!room) {
       return null;
     }
+
+    // Pointer and idle state live in the ephemeral presence store
+    const presence = await presenceService.getRoom(roomId);
+
+    return room.activeUsers.map((u) => {
+      // Across tabs: the pointer of the last active one, idle when all of them are
+      const states = u.connections.map(c => presence.get(c.socketId)).filter(Boolean);
+      const latest = [...states].sort((a, b) => (b.lastActive || 0) - (a.lastActive || 0))[0];
+      return {
+        userId: u.userId,
+        username: u.username,
+        color: u.color,
+        connections: u.connections.length,
+        pointer: latest?.pointer || null,
+        selectedElementIds: u.selectedElementIds,
+        claimedElementIds: u.claimedElementIds,
+        idle: states.length > 0 && states.every(state => state.idle),
+        lastActive: latest?.lastActive ? new Date(latest.lastActive) : u.lastActive
+      };
+    });
   }
 
 
+  // A user with several tabs is idle once all of them are
+  async isUserIdle(roomId, socketId) {
+    const room = await this.getRoom(roomId, false);
+    const user = room?.findUserBySocket(socketId);
+    if (!user) {
+      return false;
+    }
+
+    const presence = await presenceService.getRoom(roomId);
+    return user.connections.every(c => !!presence.get(c.socketId)?.idle);
+  }
+
   async cleanupEmptyRoom(roomId) {
     try {
       const room = await this.getRoom(roomId, false);
       if (room && room.activeUsers.length === 0) {
-        this.activeRooms.delete(roomId);
-        await cacheManager.del(`room:${roomId}`);
+        await this.evictRoom(roomId, room.version);
+        undoService.clearRoom(roomId);
         console.log(`cleaned up empty room: ${roomId}`);
       }
     } catch (error) {
@@ -227,14 +1128,138 @@ class RoomService {
     }
   }
 
+  // Drops the room from this node's memory and redis, and tells other nodes to do the same
+  async evictRoom(roomId, version = null) {
+    this.activeRooms.delete(roomId);
+    await cacheManager.del(`room:${roomId}`);
+    await cacheManager.publish(ROOM_EVENTS_CHANNEL, { nodeId: this.nodeId, roomId, version });
+  }
+
+  // Soft delete, the room is purged once it has been in the trash for trashDays
+  async trashRoom(roomId) {
+    try {
+      const room = await this.getRoom(roomId, false);
+      if (!room) {
+        return null;
+      }
+      if (room.activeUsers.length > 0) {
+        throw new AppError('Cannot delete room with active users', { code: 'ROOM_HAS_ACTIVE_USERS', status: 400 });
+      }
+
+      room.status = 'trashed';
+      room.deletedAt = new Date();
+      await persistenceQueue.run(roomId, () => room.save());
+
+      await this.evictRoom(roomId, room.version);
+
+      console.log(`room ${roomId} moved to trash`);
+      webhookService.emit('room.deleted', roomId, { permanent: false, reason: 'deleted' });
+      return room;
+    } catch (error) {
+      console.error('Error trashing room:', error);
+      throw error;
+    }
+  }
+
+  // Brings a trashed or archived room back to active
+  async restoreRoom(roomId) {
+    try {
+      const room = await this.getRoom(roomId, false, { includeTrashed: true });
+      if (!room) {
+        return null;
+      }
+
+      room.status = 'active';
+      room.archivedAt = null;
+      room.deletedAt = null;
+      // Counts as activity, otherwise the next cleanup would archive it again
+      room.lastModified = new Date();
+      await persistenceQueue.run(roomId, () => room.save());
+
+      // Update caches
+      await this.cacheRoom(room);
+
+      console.log(`room ${roomId} restored`);
+      return room;
+    } catch (error) {
+      console.error('Error restoring room:', error);
+      throw error;
+    }
+  }
+
+  async setPinned(roomId, pinned) {
+    try {
+      const room = await this.getRoom(roomId, false);
+      if (!room) {
+        return null;
+      }
+
+      room.pinned = pinned;
+      await persistenceQueue.run(roomId, () => room.save());
+
+      // Update caches
+      await this.cacheRoom(room);
+
+      return room;
+    } catch (error) {
+      console.error('Error pinning room:', error);
+      throw error;
+    }
+  }
+
+  // Title, description and tags, fields left out stay as they are
+  async updateMetadata(roomId, { title, description, tags }) {
+    try {
+      const room = await this.getRoom(roomId, false);
+      if (!room) {
+        return null;
+      }
+
+      if (typeof title === 'string') room.title = title.trim();
+      if (typeof description === 'string') room.description = description.trim();
+      if (Array.isArray(tags)) {
+        room.tags = [...new Set(tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+      }
+      await persistenceQueue.run(roomId, () => room.save());
+
+      // Update caches
+      await this.cacheRoom(room);
+
+      return room;
+    } catch (error) {
+      console.error('Error updating room metadata:', error);
+      throw error;
+    }
+  }
+
+  // When a room is trashed or deleted for good
+  retentionInfo(room) {
+    if (room.pinned) return { expiresAt: null };
+
+    if (room.status === 'trashed') {
+      return { purgeAt: new Date(room.deletedAt.getTime() + this.trashDays * DAY_MS) };
+    }
+    if (room.status === 'archived') {
+      return { trashAt: new Date(room.archivedAt.getTime() + this.retentionDays * DAY_MS) };
+    }
+    return { archiveAt: new Date(room.lastModified.getTime() + this.retentionDays * DAY_MS) };
+  }
+
+  /**
+   * Runs the retention policy: rooms idle for retentionDays are archived,
+   * archived rooms left alone for another retentionDays go to the trash, and
+   * trashed rooms are purged (with their snapshots) after trashDays.
+   * Pinned rooms are never touched. Idle rooms are also dropped from the caches.
+   */
   async cleanupInactiveRooms() {
     try {
-      const cutoffTime = new Date(Date.now() - 24 * 60 * 60 * 1000); // 24 hours ago
+      const now = Date.now();
+      const cutoffTime = new Date(now - DAY_MS); // 24 hours ago
 
       const inactiveRooms = await Room.find({
         lastModified: { $lt: cutoffTime },
         activeUsers: { $size: 0 }
-      });
+      }).select('roomId version').lean();
 
       for (const room of inactiveRooms) {
         this.activeRooms.delete(room.roomId);
@@ -244,11 +1269,66 @@ class RoomService {
       if (inactiveRooms.length > 0) {
         console.log(`cleaned up ${inactiveRooms.length} inactive rooms`);
       }
+
+      const retentionCutoff = new Date(now - this.retentionDays * DAY_MS);
+
+      const toArchive = await this.transitionRooms({
+        status: { $in: ['active', null] }, // null: rooms saved before retention existed
+        pinned: { $ne: true },
+        lastModified: { $lt: retentionCutoff },
+        activeUsers: { $size: 0 }
+      }, { status: 'archived', archivedAt: new Date(now) });
+
+      const toTrash = await this.transitionRooms({
+        status: 'archived',
+        pinned: { $ne: true },
+        archivedAt: { $lt: retentionCutoff }
+      }, { status: 'trashed', deletedAt: new Date(now) });
+      for (const { roomId } of toTrash) {
+        webhookService.emit('room.deleted', roomId, { permanent: false, reason: 'retention' });
+      }
+
+      const toPurge = await Room.find({
+        status: 'trashed',
+        deletedAt: { $lt: new Date(now - this.trashDays * DAY_MS) }
+      }).select('roomId').lean();
+
+      for (const { roomId } of toPurge) {
+        const { deletedCount } = await Room.deleteOne({ roomId, status: 'trashed' });
+        await historyService.deleteSnapshots(roomId);
+        await opLogService.deleteForRoom(roomId);
+
+        // Another node may have purged it first
+        if (deletedCount > 0) {
+          await webhookService.enqueue('room.deleted', roomId, { permanent: true, reason: 'purged' });
+          await webhookService.removeRoomWebhooks(roomId);
+        }
+      }
+
+      if (toArchive.length + toTrash.length + toPurge.length > 0) {
+        console.log(`retention: archived ${toArchive.length}, trashed ${toTrash.length}, purged ${toPurge.length} rooms`);
+      }
     } catch (error) {
       console.error('Error cleaning up inactive rooms:', error);
     }
   }
 
+  // Applies `update` to the rooms matching `filter` and returns the rooms it
+  // was applied to. The filter is checked again on write, a room someone
+  // joined, edited or pinned since it was found stays as it is.
+  async transitionRooms(filter, update) {
+    const rooms = await Room.find(filter).select('roomId version').lean();
+    const moved = [];
+    for (const room of rooms) {
+      const { modifiedCount } = await Room.updateOne({ ...filter, roomId: room.roomId }, { $set: update });
+      if (modifiedCount === 0) continue;
+
+      await this.evictRoom(room.roomId, room.version);
+      moved.push(room);
+    }
+    return moved;
+  }
+
   async getRoomStats(roomId) {
     try {
       const room = await this.getRoom(roomId, false);
@@ -262,7 +1342,10 @@ class RoomService {
         activeUsersCount: room.activeUsers.length,
         version: room.version,
         lastModified: room.lastModified,
-        createdAt: room.createdAt
+        createdAt: room.createdAt,
+        status: room.status,
+        pinned: room.pinned,
+        ...this.retentionInfo(room)
       };
     } catch (error) {
       console.error('Error getting room stats:', error);
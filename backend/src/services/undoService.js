@@ -0,0 +1,110 @@
+// Per-user undo/redo journal built from incremental-update diffs. An entry holds
+// { id, before, after } for every element an operation touched, where null
+// means the element didn't exist (added) or was removed (deleted). Journals are
+// kept in memory of the node the user is connected to (sticky sessions).
+
+const MAX_ENTRIES = 100;
+
+const plain = (el) => (el ? { ...(el.toObject ? el.toObject() : el) } : null);
+
+// Current element still is what the operation left behind, so reverting it
+// doesn't throw away somebody else's later edit
+const isUntouched = (current, after) => {
+  if (!after) return !current || !!current.isDeleted;
+  return !!current && current.version === after.version;
+};
+
+class UndoService {
+  constructor() {
+    this.journals = new Map(); // roomId -> Map(actor -> { undo: [], redo: [] })
+  }
+
+  journal(roomId, actor) {
+    if (!this.journals.has(roomId)) {
+      this.journals.set(roomId, new Map());
+    }
+    const room = this.journals.get(roomId);
+    if (!room.has(actor)) {
+      room.set(actor, { undo: [], redo: [] });
+    }
+    return room.get(actor);
+  }
+
+  // Captures the touched elements around an update, call `after` once applied
+  capture(elements, ids) {
+    const touched = new Set(ids);
+    const before = new Map(elements.filter(el => touched.has(el.id)).map(el => [el.id, plain(el)]));
+
+    return (nextElements) => {
+      const after = new Map(nextElements.filter(el => touched.has(el.id)).map(el => [el.id, plain(el)]));
+      return [...touched].map(id => ({ id, before: before.get(id) || null, after: after.get(id) || null }));
+    };
+  }
+
+  record(roomId, actor, changes) {
+    if (!actor || changes.length === 0) return;
+
+    const journal = this.journal(roomId, actor);
+    journal.undo.push(changes);
+    if (journal.undo.length > MAX_ENTRIES) {
+      journal.undo.shift();
+    }
+    // A new operation starts a new branch
+    journal.redo = [];
+  }
+
+  /**
+   * Takes the last entry of the `undo` or `redo` stack and works out the
+   * elements that revert it against `currentElements`. Elements changed by
+   * someone else since are left alone and reported as conflicts.
+   * Returns null when the stack is empty.
+   */
+  revert(roomId, actor, stack, currentElements) {
+    const journal = this.journals.get(roomId)?.get(actor);
+    const changes = journal?.[stack].pop();
+    if (!changes) return null;
+
+    const currentById = new Map(currentElements.map(el => [el.id, el]));
+    const elements = [];
+    const conflicts = [];
+
+    for (const { id, before, after } of changes) {
+      const current = currentById.get(id);
+      if (!isUntouched(current, after)) {
+        conflicts.push(id);
+        continue;
+      }
+      // Added elements are reverted to a tombstone so peers drop them too
+      const target = before
+        ? { isDeleted: false, ...before }
+        : current && { ...plain(current), isDeleted: true };
+      if (target) elements.push(target);
+    }
+
+    return {
+      elements,
+      conflicts,
+      // Called with the elements as applied, queues the opposite operation
+      commit: (applied) => {
+        const appliedById = new Map(applied.map(el => [el.id, plain(el)]));
+        const inverse = changes
+          .filter(change => appliedById.has(change.id))
+          .map(change => ({ id: change.id, before: change.after, after: appliedById.get(change.id) }));
+
+        if (inverse.length > 0) {
+          journal[stack === 'undo' ? 'redo' : 'undo'].push(inverse);
+        }
+      }
+    };
+  }
+
+  forget(roomId, actor) {
+    this.journals.get(roomId)?.delete(actor);
+  }
+
+  clearRoom(roomId) {
+    this.journals.delete(roomId);
+  }
+}
+
+export default new UndoService();
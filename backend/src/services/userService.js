@@ -0,0 +1,150 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { nanoid } from 'nanoid';
+import User from '../models/User.js';
+import { AppError } from '../utils/errors.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+// Collaborator colors, users who didn't pick one get one derived from their id
+const PALETTE = ['#e03131', '#c2255c', '#9c36b5', '#6741d9', '#3b5bdb', '#1971c2', '#0c8599', '#099268', '#2f9e44', '#f08c00', '#e8590c'];
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+export const colorFor = (userId) => PALETTE[parseInt(sha256(userId).slice(0, 8), 16) % PALETTE.length];
+
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const key = await scrypt(password, salt, 64);
+  return `${salt}:${key.toString('hex')}`;
+};
+
+const checkPassword = async (password, stored) => {
+  const [salt, hash] = (stored || '').split(':');
+  if (!salt || !hash) return false;
+  const key = await scrypt(password, salt, 64);
+  return crypto.timingSafeEqual(key, Buffer.from(hash, 'hex'));
+};
+
+const isDuplicateKey = (error) => error?.code === 11000;
+
+class UserService {
+  toProfile(user) {
+    return {
+      id: user.userId,
+      kind: user.kind,
+      name: user.displayName,
+      color: user.color,
+      username: user.username || null
+    };
+  }
+
+  /**
+   * Anonymous identity bound to a device id. An unknown device id gets a new
+   * user, without one a device id is generated. The client keeps the device id
+   * to come back as the same user. Resolves to { user, deviceId }.
+   */
+  async identifyDevice({ deviceId, name, color } = {}) {
+    const id = deviceId || nanoid(32);
+    const deviceIdHash = sha256(id);
+
+    let user = await User.findOne({ deviceIdHash });
+    if (!user) {
+      const userId = `usr_${nanoid(16)}`;
+      try {
+        user = await User.create({
+          userId,
+          kind: 'anonymous',
+          displayName: name || 'Anonymous',
+          color: color || colorFor(userId),
+          deviceIdHash
+        });
+      } catch (error) {
+        // Two tabs of a new device identified at once
+        if (!isDuplicateKey(error)) throw error;
+        user = await User.findOne({ deviceIdHash });
+      }
+    } else {
+      user.lastSeenAt = new Date();
+      await user.save();
+    }
+
+    return { user, deviceId: id };
+  }
+
+  async register({ username, password, name, color }) {
+    const login = username.trim().toLowerCase();
+    if (await User.exists({ username: login })) {
+      throw new AppError('Username is already taken', { code: 'USERNAME_TAKEN', status: 409 });
+    }
+
+    const userId = `usr_${nanoid(16)}`;
+    try {
+      return await User.create({
+        userId,
+        kind: 'local',
+        username: login,
+        passwordHash: await hashPassword(password),
+        displayName: name || username.trim(),
+        color: color || colorFor(userId)
+      });
+    } catch (error) {
+      if (isDuplicateKey(error)) {
+        throw new AppError('Username is already taken', { code: 'USERNAME_TAKEN', status: 409 });
+      }
+      throw error;
+    }
+  }
+
+  async login({ username, password }) {
+    const user = await User.findOne({ username: username.trim().toLowerCase(), kind: 'local' });
+    if (!user || !(await checkPassword(password, user.passwordHash))) {
+      throw new AppError('Invalid username or password', { code: 'INVALID_CREDENTIALS', status: 401 });
+    }
+
+    user.lastSeenAt = new Date();
+    await user.save();
+    return user;
+  }
+
+  async getUser(userId) {
+    if (!userId) return null;
+    return User.findOne({ userId });
+  }
+
+  async updateProfile(userId, { name, color }) {
+    const user = await this.getUser(userId);
+    if (!user) {
+      throw new AppError('User not found', { code: 'USER_NOT_FOUND', status: 404 });
+    }
+
+    if (name) user.displayName = name;
+    if (color) user.color = color;
+    await user.save();
+    return user;
+  }
+
+  /**
+   * Who a socket is in rooms: the stored profile of a persistent user, the
+   * token's name for guest tokens, the socket itself without a token. Names
+   * and colors the client sent only fill in what the identity doesn't have.
+   * Returns { userId, username, color }.
+   */
+  async resolveIdentity(tokenUser, socketId, { username, color } = {}) {
+    if (!tokenUser) {
+      return { userId: socketId, username: username || 'Anonymous', color: color || colorFor(socketId) };
+    }
+
+    const user = await this.getUser(tokenUser.id);
+    if (user) {
+      return { userId: user.userId, username: user.displayName, color: user.color };
+    }
+    return {
+      userId: tokenUser.id,
+      username: tokenUser.name || username || 'Anonymous',
+      color: color || colorFor(tokenUser.id)
+    };
+  }
+}
+
+export default new UserService();
@@ -0,0 +1,424 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { nanoid } from 'nanoid';
+import Webhook from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { AppError } from '../utils/errors.js';
+
+const BATCH_SIZE = 10;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+const LEASE_MARGIN_MS = 5000;
+
+// Loopback, private, link-local (cloud metadata), shared, multicast and reserved ranges
+const privateRanges = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => privateRanges.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => privateRanges.addSubnet(address, prefix, 'ipv6'));
+
+export const isPrivateAddress = (address) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return privateRanges.check(mapped[1], 'ipv4');
+  return privateRanges.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+const forbiddenUrl = (message) => new AppError(message, { code: 'WEBHOOK_URL_FORBIDDEN', status: 422 });
+
+// Receivers recompute this over the raw request body to verify a delivery
+export const signPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+/**
+ * Sends room events to registered webhooks. Every delivery is a POST of
+ * { id, event, roomId, createdAt, data } with the headers
+ * - X-Horizon-Event: the event name
+ * - X-Horizon-Delivery: the delivery id, the same on every retry
+ * - X-Horizon-Timestamp: unix seconds of this attempt
+ * - X-Horizon-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" keyed with the webhook secret>
+ * A 2xx response counts as delivered, anything else is retried with exponential
+ * backoff until maxAttempts. Deliveries are queued in MongoDB, so all nodes work
+ * through the same queue and retries survive restarts.
+ */
+class WebhookService {
+  constructor() {
+    this.timeoutMs = 10000;
+    this.maxAttempts = 10;
+    this.retryBaseMs = 10000;
+    this.debounceMs = 5000;
+    this.debounceMaxMs = 60000;
+    this.pollIntervalMs = 5000;
+    this.allowPrivate = false;
+    this.allowedHosts = [];
+    this.timer = null;
+    this.processing = null;
+    this.rerun = false;
+    this.scenes = new Map(); // roomId -> { version, changes, firstAt, timer }
+  }
+
+  /**
+   * Webhooks may only target public addresses, so room owners can't make the
+   * server call into its own network. `allowedHosts` opts into an allowlist:
+   * only those hosts can be registered, and they may be private. `allowPrivate`
+   * lifts the address check, e.g. for a local stand-in during development.
+   */
+  configure({ timeoutMs, maxAttempts, retryBaseMs, debounceMs, debounceMaxMs, pollIntervalMs, allowPrivate, allowedHosts } = {}) {
+    if (timeoutMs) this.timeoutMs = timeoutMs;
+    if (maxAttempts) this.maxAttempts = maxAttempts;
+    if (retryBaseMs) this.retryBaseMs = retryBaseMs;
+    if (debounceMs) this.debounceMs = debounceMs;
+    if (debounceMaxMs) this.debounceMaxMs = debounceMaxMs;
+    if (pollIntervalMs) this.pollIntervalMs = pollIntervalMs;
+    if (allowPrivate !== undefined) this.allowPrivate = allowPrivate;
+    if (allowedHosts) this.allowedHosts = allowedHosts.map(host => host.toLowerCase());
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.processQueue(), this.pollIntervalMs);
+    this.processQueue();
+  }
+
+  // Queues the scene changes still being debounced and waits for running deliveries
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await Promise.all([...this.scenes.keys()].map(roomId => this.flushScene(roomId)));
+    await this.processing;
+  }
+
+  toPublic(webhook) {
+    return {
+      webhookId: webhook.webhookId,
+      roomId: webhook.roomId,
+      url: webhook.url,
+      events: webhook.events,
+      description: webhook.description,
+      createdBy: webhook.createdBy,
+      createdAt: webhook.createdAt
+    };
+  }
+
+  isAllowlisted(hostname) {
+    return this.allowedHosts.includes(hostname.toLowerCase());
+  }
+
+  // Rejects urls that aren't http(s), hosts off the allowlist and hosts
+  // resolving to private addresses
+  async assertAllowedUrl(url) {
+    let target;
+    try {
+      target = new URL(url);
+    } catch (error) {
+      throw forbiddenUrl('Invalid webhook url');
+    }
+    if (!['http:', 'https:'].includes(target.protocol)) {
+      throw forbiddenUrl('Webhook urls must use http or https');
+    }
+
+    const hostname = target.hostname.replace(/^\[|\]$/g, '');
+    if (this.allowedHosts.length > 0) {
+      if (!this.isAllowlisted(hostname)) throw forbiddenUrl('Webhook host is not on the allowlist');
+      return;
+    }
+    if (this.allowPrivate) return;
+
+    let addresses;
+    try {
+      addresses = net.isIP(hostname)
+        ? [hostname]
+        : (await dns.promises.lookup(hostname, { all: true })).map(entry => entry.address);
+    } catch (error) {
+      throw forbiddenUrl(`Cannot resolve webhook host ${hostname}`);
+    }
+    if (addresses.some(isPrivateAddress)) {
+      throw forbiddenUrl('Webhook urls must not point to private addresses');
+    }
+  }
+
+  // dns.lookup for deliveries, checks the addresses actually connected to so
+  // a host can't resolve to a public address on registration and a private one later
+  guardedLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+      if (error) return callback(error);
+
+      const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+      if (addresses.some(isPrivateAddress)) {
+        return callback(new Error(`${hostname} resolves to a private address`));
+      }
+      callback(null, address, family);
+    });
+  }
+
+  // `roomId` null registers a global webhook. Without a secret one is generated.
+  async createWebhook({ roomId = null, url, events, secret, description, createdBy = null }) {
+    await this.assertAllowedUrl(url);
+
+    return Webhook.create({
+      webhookId: `wh_${nanoid(16)}`,
+      roomId,
+      url,
+      events: events?.length ? events : ['*'],
+      secret: secret || `whsec_${crypto.randomBytes(24).toString('hex')}`,
+      description: description || '',
+      createdBy
+    });
+  }
+
+  async listWebhooks(roomId = null) {
+    return Webhook.find({ roomId, deletedAt: null }).sort({ createdAt: 1 });
+  }
+
+  async getWebhook(webhookId) {
+    if (!webhookId) return null;
+    return Webhook.findOne({ webhookId, deletedAt: null });
+  }
+
+  // Stops the webhook, deliveries still pending are given up
+  async deleteWebhook(webhookId) {
+    const webhook = await Webhook.findOneAndUpdate(
+      { webhookId, deletedAt: null },
+      { $set: { deletedAt: new Date() } },
+      { new: true }
+    );
+    if (!webhook) {
+      throw new AppError('Webhook not found', { code: 'WEBHOOK_NOT_FOUND', status: 404 });
+    }
+
+    await WebhookDelivery.updateMany(
+      { webhookId, status: 'pending' },
+      { $set: { status: 'failed', lastError: 'Webhook removed' } }
+    );
+    return webhook;
+  }
+
+  // Webhooks of a purged room go with it, events queued before are still delivered
+  async removeRoomWebhooks(roomId) {
+    await Webhook.updateMany({ roomId, deletedAt: null }, { $set: { deletedAt: new Date() } });
+  }
+
+  async getDeliveries(webhookId, { status, limit = 50 } = {}) {
+    const query = { webhookId };
+    if (status) query.status = status;
+
+    return WebhookDelivery.find(query)
+      .select('-_id -__v')
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(limit) || 50, 200))
+      .lean();
+  }
+
+  // Fire and forget, room operations never wait for or fail on webhooks
+  emit(event, roomId, data = {}) {
+    this.enqueue(event, roomId, data)
+      .catch(error => console.error(`Error queueing webhook event ${event}:`, error.message));
+  }
+
+  /**
+   * Queues one delivery of the event per subscribed webhook, the room's own
+   * and the global ones, or per webhook in `webhooks` when given.
+   * Resolves to the created deliveries.
+   */
+  async enqueue(event, roomId, data = {}, webhooks = null) {
+    const targets = webhooks || await Webhook.find({
+      deletedAt: null,
+      $or: [{ roomId }, { roomId: null }],
+      events: { $in: [event, '*'] }
+    }).select('webhookId').lean();
+    if (targets.length === 0) return [];
+
+    const eventId = `evt_${nanoid(16)}`;
+    const createdAt = new Date().toISOString();
+    const deliveries = await WebhookDelivery.insertMany(targets.map(webhook => ({
+      deliveryId: `whd_${nanoid(16)}`,
+      webhookId: webhook.webhookId,
+      roomId,
+      event,
+      payload: { id: eventId, event, roomId, createdAt, data }
+    })));
+
+    if (this.timer) setImmediate(() => this.processQueue());
+    return deliveries;
+  }
+
+  async sendTest(webhook) {
+    const [delivery] = await this.enqueue('ping', webhook.roomId, { webhookId: webhook.webhookId }, [webhook]);
+    return delivery;
+  }
+
+  /**
+   * Scene edits come in bursts, they are reported as one scene.changed event
+   * once the room has been quiet for debounceMs, at the latest debounceMaxMs
+   * after the first edit. The event carries the latest version and the number
+   * of changes it covers.
+   */
+  sceneChanged(roomId, version) {
+    const now = Date.now();
+    const pending = this.scenes.get(roomId) || { firstAt: now, changes: 0, timer: null };
+    pending.version = version;
+    pending.changes += 1;
+
+    clearTimeout(pending.timer);
+    const delay = Math.max(0, Math.min(this.debounceMs, pending.firstAt + this.debounceMaxMs - now));
+    pending.timer = setTimeout(() => this.flushScene(roomId), delay);
+    this.scenes.set(roomId, pending);
+  }
+
+  async flushScene(roomId) {
+    const pending = this.scenes.get(roomId);
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    this.scenes.delete(roomId);
+
+    try {
+      await this.enqueue('scene.changed', roomId, { version: pending.version, changes: pending.changes });
+    } catch (error) {
+      console.error('Error queueing webhook event scene.changed:', error.message);
+    }
+  }
+
+  // One pass over the due deliveries at a time, calls in between run another pass after it
+  processQueue() {
+    if (this.processing) {
+      this.rerun = true;
+      return this.processing;
+    }
+
+    this.processing = (async () => {
+      try {
+        do {
+          this.rerun = false;
+          while (await this.processBatch() === BATCH_SIZE);
+        } while (this.rerun);
+      } catch (error) {
+        console.error('Error processing webhook deliveries:', error.message);
+      } finally {
+        this.processing = null;
+      }
+    })();
+    return this.processing;
+  }
+
+  async processBatch() {
+    const batch = [];
+    while (batch.length < BATCH_SIZE) {
+      const delivery = await this.claim();
+      if (!delivery) break;
+      batch.push(delivery);
+    }
+
+    await Promise.all(batch.map(delivery => this.attempt(delivery)));
+    return batch.length;
+  }
+
+  // Leases a due delivery for one attempt, if this node dies during it
+  // the lease runs out and another node retries
+  async claim() {
+    const now = Date.now();
+    return WebhookDelivery.findOneAndUpdate(
+      { status: 'pending', nextAttemptAt: { $lte: new Date(now) } },
+      { $set: { nextAttemptAt: new Date(now + this.timeoutMs + LEASE_MARGIN_MS) } },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    ).lean();
+  }
+
+  async attempt(delivery) {
+    try {
+      // Removed webhooks only get what was queued before, like the events of a purged room
+      const webhook = await Webhook.findOne({
+        webhookId: delivery.webhookId,
+        $or: [{ deletedAt: null }, { deletedAt: { $gt: delivery.createdAt } }]
+      }).lean();
+      const result = webhook
+        ? await this.send(webhook, delivery)
+        : { ok: false, status: null, error: 'Webhook removed' };
+
+      const attempts = delivery.attempts + 1;
+      const update = { attempts, responseStatus: result.status, lastError: result.error || null };
+      if (result.ok) {
+        update.status = 'delivered';
+        update.deliveredAt = new Date();
+      } else if (!webhook || attempts >= this.maxAttempts) {
+        update.status = 'failed';
+      } else {
+        update.nextAttemptAt = new Date(Date.now() + this.backoff(attempts));
+      }
+
+      await WebhookDelivery.updateOne({ deliveryId: delivery.deliveryId }, { $set: update });
+      if (update.status === 'failed') {
+        console.warn(`webhook delivery ${delivery.deliveryId} failed after ${attempts} attempts: ${update.lastError}`);
+      }
+    } catch (error) {
+      console.error(`Error delivering webhook ${delivery.deliveryId}:`, error.message);
+    }
+  }
+
+  backoff(attempts) {
+    return Math.min(this.retryBaseMs * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+  }
+
+  // POSTs the signed payload, resolves to { ok, status, error }
+  async send(webhook, { deliveryId, event, payload }) {
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+
+    try {
+      const status = await this.post(webhook.url, body, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'horizon-webhooks',
+        'X-Horizon-Event': event,
+        'X-Horizon-Delivery': deliveryId,
+        'X-Horizon-Timestamp': timestamp,
+        'X-Horizon-Signature': signPayload(webhook.secret, timestamp, body)
+      });
+
+      if (status >= 200 && status < 300) return { ok: true, status };
+      return { ok: false, status, error: `HTTP ${status}` };
+    } catch (error) {
+      const reason = error.cause?.name === 'TimeoutError'
+        ? `Timed out after ${this.timeoutMs}ms`
+        : error.message;
+      return { ok: false, status: null, error: reason };
+    }
+  }
+
+  // Resolves to the response status, redirects aren't followed. Targets go
+  // through the same address rules as on registration.
+  post(url, body, headers) {
+    const target = new URL(url);
+    const hostname = target.hostname.replace(/^\[|\]$/g, '');
+    if (this.allowedHosts.length > 0 && !this.isAllowlisted(hostname)) {
+      return Promise.reject(new Error(`${hostname} is not on the allowlist`));
+    }
+
+    const checked = !this.allowPrivate && !this.isAllowlisted(hostname);
+    // Hosts given as an address are never looked up
+    if (checked && net.isIP(hostname) && isPrivateAddress(hostname)) {
+      return Promise.reject(new Error(`${hostname} is a private address`));
+    }
+
+    return new Promise((resolve, reject) => {
+      const client = target.protocol === 'https:' ? https : http;
+      const request = client.request(target, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: checked ? (host, options, callback) => this.guardedLookup(host, options, callback) : undefined,
+        signal: AbortSignal.timeout(this.timeoutMs)
+      }, (response) => {
+        // The response body isn't used
+        response.on('error', () => {});
+        response.resume();
+        resolve(response.statusCode);
+      });
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+}
+
+export default new WebhookService();
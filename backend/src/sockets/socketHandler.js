@@ -1,131 +1,241 @@
 import roomService from '../services/roomService.js';
+import authService, { hasRole } from '../services/authService.js';
+import undoService from '../services/undoService.js';
+import presenceService from '../services/presenceService.js';
+import userService from '../services/userService.js';
+import opReceiptService from '../services/opReceiptService.js';
 import {
   validate,
   roomIdSchema,
   sceneUpdateSchema,
   incrementalUpdateSchema,
+  encryptedUpdateSchema,
   pointerSchema,
-  userJoinSchema
+  userJoinSchema,
+  selectionSchema,
+  idleStatusSchema,
+  resumeSchema,
+  opIdSchema
 } from '../utils/validation.js';
+import { AppError, serializeError } from '../utils/errors.js';
+
+const notInRoom = () => new AppError('Not in a room', { code: 'NOT_IN_ROOM', status: 409 });
+const readOnly = () => new AppError('Read-only access to this room', { code: 'FORBIDDEN', status: 403 });
 
 class SocketHandler {
-  constructor(io) {
+  constructor(io, { pointerIntervalMs = 50 } = {}) {
     this.io = io;
     this.socketRoomMap = new Map(); // Maps socketId - roomId
+    this.pointerIntervalMs = pointerIntervalMs;
+    this.pendingPointers = new Map(); // socketId - { pointer, timer, lastSentAt }
   }
 
   handleConnection(socket) {
     console.log(`client connected: ${socket.id}`);
 
+    if (socket.recovered && socket.data.roomId) {
+      this.resumeRecoveredSocket(socket);
+    }
+
     socket.on('join-room', async (data) => {
       try {
         console.log(`client ${socket.id} attempting to join room: ${data.roomId}`);
         const { roomId } = validate(roomIdSchema, { roomId: data.roomId });
         const userData = validate(userJoinSchema, data.user || {});
+        const { lastVersion, pendingElements } = validate(resumeSchema, data);
+        const user = socket.data.user;
+
+        // Joining a room that doesn't exist yet makes the caller its owner
+        const existing = await roomService.getRoom(roomId, false);
+        const target = existing || await roomService.createRoom(roomId, user?.id || null, {
+          encrypted: data.encrypted === true
+        });
+
+        if (data.encrypted !== undefined && !!data.encrypted !== target.encrypted) {
+          return this.emitError(socket, new AppError(
+            target.encrypted ? 'Room is end-to-end encrypted' : 'Room is not encrypted',
+            { code: 'ENCRYPTION_MISMATCH', status: 409 }
+          ));
+        }
+
+        const shareRole = authService.resolveShareRole(target, data.shareToken);
+        if (data.shareToken && !shareRole) {
+          return this.emitError(socket, new AppError('Invalid or revoked share link', { code: 'INVALID_SHARE_LINK', status: 403 }));
+        }
+
+        const role = authService.resolveRoomRole(target, user, shareRole);
+        if (!hasRole(role, 'viewer')) {
+          return this.emitError(socket, new AppError('Insufficient room permissions', { code: 'FORBIDDEN', status: 403 }));
+        }
+
+        const identity = await userService.resolveIdentity(user, socket.id, userData);
 
         await this.handleLeaveRoom(socket);
+        socket.data.role = role;
+        socket.data.shareToken = data.shareToken || null;
 
         socket.join(roomId);
         this.socketRoomMap.set(socket.id, roomId);
+        // Kept for connection state recovery
+        socket.data.roomId = roomId;
+        socket.data.userId = identity.userId;
+        socket.data.username = identity.username;
+        socket.data.color = identity.color;
+
+        // Edits queued while offline are reconciled like any scene-update
+        if (Array.isArray(pendingElements) && pendingElements.length > 0 && !target.encrypted) {
+          if (hasRole(role, 'editor')) {
+            const { room: updated, rejected } = await roomService.applyPendingElements(roomId, pendingElements, this.authorOf(socket));
+            this.emitRejected(socket, updated, rejected);
+            socket.to(roomId).emit('scene-update', { elements: updated.elements, version: updated.version });
+          } else {
+            this.emitError(socket, readOnly());
+          }
+        }
 
         console.log(`adding user to room ${roomId} in DB..`);
         // Add user to room
-        const room = await roomService.addUser(
-          roomId,
-          socket.id,
-          userData.username,
-          userData.color
-        );
+        const { room, joined } = await roomService.addUser(roomId, socket.id, identity);
         console.log(`user added. current elements: ${room.elements?.length || 0}`);
 
-        // Sendind current scene to th user
-        socket.emit('scene-init', {
-          elements: room.elements,
-          appState: room.appState,
-          files: Object.fromEntries(room.files || new Map()),
-          users: room.activeUsers.map(u => ({
-            socketId: u.socketId,
-            username: u.username,
-            color: u.color
-          }))
-        })
-
-        // Notify others about new user
-        socket.to(roomId).emit('user-joined', {
-          socketId: socket.id,
-          username: userData.username,
-          color: userData.color
-        });
+        // A client that knows the scene up to lastVersion only gets what changed since
+        const changes = Number.isInteger(lastVersion) ? await roomService.getChangesSince(room, lastVersion) : null;
+        if (changes) {
+          const imageIds = changes.elements.filter(el => el.type === 'image' && el.fileId).map(el => el.fileId);
+          socket.emit('scene-resume', {
+            fromVersion: lastVersion,
+            version: room.version,
+            elements: changes.elements,
+            deleted: changes.deleted,
+            files: roomService.getFilesMeta(room, imageIds),
+            users: this.buildSceneInit(room).users,
+            userId: identity.userId,
+            role
+          });
+        } else {
+          // Sendind current scene to th user
+          socket.emit('scene-init', { ...this.buildSceneInit(room), userId: identity.userId, role });
+        }
+
+        // Notify others about new user, another tab of someone already here isn't news
+        if (joined) {
+          socket.to(roomId).emit('user-joined', identity);
+        }
 
-        console.log(`user ${socket.id} successfully joined room ${roomId}`);
+        console.log(`user ${identity.userId} (${socket.id}) successfully joined room ${roomId}`);
       } catch (error) {
         console.error('Error joining room:', error);
-        socket.emit('error', { message: error.message });
+        this.emitError(socket, error);
       }
     });
 
 
     // handle scene updates full sync
-    socket.on('scene-update', async (data) => {
-      try {
-        const roomId = this.socketRoomMap.get(socket.id);
-        if (!roomId) return socket.emit('error', { message: 'Not in a room' });
+    socket.on('scene-update', (data, ack) => this.applyMutation(socket, 'scene-update', data, ack, async (roomId) => {
+      // Encrypted rooms: store and relay the blob as-is
+      if (data?.encrypted) {
+        const { encrypted } = validate(encryptedUpdateSchema, data);
+        const room = await roomService.updateEncryptedScene(roomId, encrypted);
+        socket.to(roomId).emit('scene-update', { encrypted, version: room.version });
+        return { version: room.version };
+      }
 
-        const validated = validate(sceneUpdateSchema, data);
+      const validated = validate(sceneUpdateSchema, data);
 
-        //  zoom sanitization
-        if (validated.appState) {
-          const rawZoom = validated.appState.zoom;
-          const zoomValue = typeof rawZoom === 'object' ? rawZoom.value : rawZoom;
-          const safeZoom = (isNaN(zoomValue) || zoomValue <= 0) ? 1 : zoomValue;
-          validated.appState.zoom = { value: safeZoom };
+      //  zoom sanitization
+      if (validated.appState) {
+        const rawZoom = validated.appState.zoom;
+        const zoomValue = typeof rawZoom === 'object' ? rawZoom.value : rawZoom;
+        const safeZoom = (isNaN(zoomValue) || zoomValue <= 0) ? 1 : zoomValue;
+        validated.appState.zoom = { value: safeZoom };
 
-          if (isNaN(validated.appState.scrollX)) validated.appState.scrollX = 0;
-          if (isNaN(validated.appState.scrollY)) validated.appState.scrollY = 0;
-        }
+        if (isNaN(validated.appState.scrollX)) validated.appState.scrollX = 0;
+        if (isNaN(validated.appState.scrollY)) validated.appState.scrollY = 0;
+      }
 
-        console.log(`broadcasting scene update for room ${roomId} (${validated.elements?.length || 0} elements)`);
+      // Merge per element against the stored scene, peers get the reconciled result
+      const { room, rejected } = await roomService.updateRoomElements(
+        roomId,
+        validated.elements,
+        validated.appState,
+        validated.files,
+        this.authorOf(socket)
+      );
+      this.emitRejected(socket, room, rejected);
+
+      console.log(`broadcasting scene update for room ${roomId} (${room.elements.length} elements)`);
+
+      // Broadcast to all other users, images are fetched by fileId from the REST api
+      socket.to(roomId).emit('scene-update', {
+        elements: room.elements,
+        version: room.version,
+        appState: validated.appState,
+        files: validated.files ? roomService.getFilesMeta(room, Object.keys(validated.files)) : undefined
+      });
+      return { version: room.version, rejected };
+    }));
 
-        // Broadcast to all other users
-        socket.to(roomId).emit('scene-update', {
-          elements: validated.elements,
-          appState: validated.appState,
-          files: validated.files
-        });
 
-        // Update db in background
-        roomService.updateRoomElements(
-          roomId,
-          validated.elements,
-          validated.appState,
-          validated.files
-        ).catch(err => console.error('db save error:', err.message));
+    // handle incremental updates
+    socket.on('incremental-update', (data, ack) => this.applyMutation(socket, 'incremental-update', data, ack, async (roomId) => {
+      if (data?.encrypted) {
+        const { encrypted } = validate(encryptedUpdateSchema, data);
+        const room = await roomService.appendEncryptedUpdate(roomId, encrypted);
+        socket.to(roomId).emit('incremental-update', { encrypted, version: room.version });
+        return { version: room.version };
+      }
 
-      } catch (error) {
-        console.error('scene-update error:', error.message);
-        socket.emit('error', { message: error.message });
+      // The diff schema doesn't allow extra keys
+      const { opId, ...diff } = data || {};
+      const validated = validate(incrementalUpdateSchema, diff);
+      const { room, updates, rejected } = await roomService.incrementalUpdate(roomId, validated, {
+        author: this.authorOf(socket)
+      });
+
+      this.emitRejected(socket, room, rejected);
+
+      const hasChanges = ['added', 'updated', 'deleted'].some(key => updates[key]?.length);
+      if (hasChanges) {
+        socket.to(roomId).emit('incremental-update', { ...updates, version: room.version });
       }
-    });
+      return { version: room.version, rejected };
+    }));
 
+    // undo / redo the caller's own last incremental update
+    socket.on('undo', (data, ack) => this.applyMutation(socket, 'undo', data, ack, roomId => this.handleRevert(socket, roomId, 'undo')));
+    socket.on('redo', (data, ack) => this.applyMutation(socket, 'redo', data, ack, roomId => this.handleRevert(socket, roomId, 'redo')));
 
-    // handle incremental updates
-    socket.on('incremental-update', async (data) => {
+    // selection, optionally claiming the selected elements for exclusive editing
+    socket.on('selection-update', async (data) => {
       try {
         const roomId = this.socketRoomMap.get(socket.id);
-        if (!roomId) {
-          return socket.emit('error', { message: 'Not in a room' });
-        }
+        if (!roomId) return this.emitError(socket, notInRoom());
 
-        const validated = validate(incrementalUpdateSchema, data);
-        await roomService.incrementalUpdate(roomId, validated);
+        const { selectedElementIds, claim } = validate(selectionSchema, data);
+        // Viewers can select, only editors can claim
+        const canClaim = claim === true && hasRole(await this.refreshRole(socket, roomId), 'editor');
 
-        socket.to(roomId).emit('incremental-update', validated);
+        const selection = await roomService.updateUserSelection(roomId, socket.id, selectedElementIds, canClaim);
+        if (!selection) return;
 
+        if (selection.denied.length > 0) {
+          socket.emit('claim-denied', { elementIds: selection.denied });
+        }
+
+        socket.to(roomId).emit('selection-update', {
+          socketId: socket.id,
+          userId: selection.userId,
+          username: selection.username,
+          color: selection.color,
+          selectedElementIds: selection.selectedElementIds,
+          claimedElementIds: selection.claimedElementIds
+        });
       } catch (error) {
-        console.error('Error in incremental update:', error);
-        socket.emit('error', { message: error.message });
+        console.error('selection-update error:', error.message);
+        this.emitError(socket, error);
       }
     });
+
     socket.on('pointer-update', async (data) => {
       try {
         const roomId = this.socketRoomMap.get(socket.id);
@@ -134,13 +244,7 @@ class SocketHandler {
         }
 
         const validated = validate(pointerSchema, data);
-
-        await roomService.updateUserPointer(roomId, socket.id, validated);
-
-        socket.to(roomId).emit('pointer-update', {
-          socketId: socket.id,
-          pointer: validated
-        });
+        this.queuePointer(socket, roomId, validated);
 
       } catch (error) {
       }
@@ -152,9 +256,13 @@ class SocketHandler {
           return;
         }
 
+        const { idle } = validate(idleStatusSchema, data);
+        await presenceService.update(roomId, socket.id, { idle: idle === true });
+
         socket.to(roomId).emit('idle-status', {
           socketId: socket.id,
-          idle: data.idle
+          idle: await roomService.isUserIdle(roomId, socket.id),
+          ...this.identityOf(socket)
         });
 
       } catch (error) {
@@ -171,7 +279,8 @@ class SocketHandler {
     });
   }
 
-  async handleLeaveRoom(socket) {
+  // `disconnecting` keeps socket.data, Socket.IO may restore it with the session
+  async handleLeaveRoom(socket, { disconnecting = false } = {}) {
     const roomId = this.socketRoomMap.get(socket.id);
     if (!roomId) {
       return;
@@ -179,17 +288,33 @@ class SocketHandler {
 
     try {
 
-      await roomService.removeUser(roomId, socket.id);
+      const result = await roomService.removeUser(roomId, socket.id);
 
       // Leave socket room
       socket.leave(roomId);
 
       // Remove from map
       this.socketRoomMap.delete(socket.id);
+      this.clearPointer(socket.id);
+      await presenceService.remove(roomId, socket.id);
+
+      if (!disconnecting) {
+        socket.data.role = null;
+        socket.data.shareToken = null;
+        socket.data.roomId = null;
+
+        // The journal of an anonymous socket can't be used once it left,
+        // a recovered socket keeps its id and so its journal
+        if (!socket.data.user) {
+          undoService.forget(roomId, socket.id);
+        }
+      }
 
-      socket.to(roomId).emit('user-left', {
-        socketId: socket.id
-      });
+      // Peers drop the user's selection and claims along with it,
+      // once the user's last tab is gone
+      if (result?.left) {
+        socket.to(roomId).emit('user-left', { userId: result.left });
+      }
 
       console.log(`User ${socket.id} left room ${roomId}`);
     } catch (error) {
@@ -199,7 +324,225 @@ class SocketHandler {
 
   async handleDisconnect(socket) {
     console.log(`Client disconnected: ${socket.id}`);
-    await this.handleLeaveRoom(socket);
+    await this.handleLeaveRoom(socket, { disconnecting: true });
+  }
+
+  // Socket.IO restored rooms and socket.data after a short disconnect and
+  // replays the missed events itself, only the presence entry has to come back
+  async resumeRecoveredSocket(socket) {
+    const { roomId, userId, username, color } = socket.data;
+    try {
+      socket.join(roomId);
+      this.socketRoomMap.set(socket.id, roomId);
+      const identity = { userId: userId || socket.id, username, color };
+      const { joined } = await roomService.addUser(roomId, socket.id, identity);
+
+      if (joined) {
+        socket.to(roomId).emit('user-joined', identity);
+      }
+      console.log(`client ${socket.id} recovered its session in room ${roomId}`);
+    } catch (error) {
+      console.error('Error recovering session:', error);
+    }
+  }
+
+  // User id, username and color peers render next to the pointer, as stored in
+  // activeUsers when the socket joined
+  identityOf(socket) {
+    return {
+      userId: socket.data.userId || socket.id,
+      username: socket.data.username || 'Anonymous',
+      color: socket.data.color
+    };
+  }
+
+  // Pointers go out at most every pointerIntervalMs per socket, moves in
+  // between are coalesced into the latest position
+  queuePointer(socket, roomId, pointer) {
+    const pending = this.pendingPointers.get(socket.id) || { lastSentAt: 0, timer: null };
+    pending.pointer = pointer;
+    pending.roomId = roomId;
+    this.pendingPointers.set(socket.id, pending);
+
+    if (pending.timer) return;
+    const wait = Math.max(0, pending.lastSentAt + this.pointerIntervalMs - Date.now());
+    pending.timer = setTimeout(() => this.flushPointer(socket), wait);
+  }
+
+  flushPointer(socket) {
+    const pending = this.pendingPointers.get(socket.id);
+    if (!pending) return;
+    pending.timer = null;
+    pending.lastSentAt = Date.now();
+
+    presenceService.update(pending.roomId, socket.id, { pointer: pending.pointer })
+      .catch(err => console.error('presence error:', err.message));
+
+    // Volatile: a client that can't keep up drops stale pointers instead of queueing them
+    socket.to(pending.roomId).volatile.emit('pointer-update', {
+      socketId: socket.id,
+      pointer: pending.pointer,
+      ...this.identityOf(socket)
+    });
+  }
+
+  clearPointer(socketId) {
+    const pending = this.pendingPointers.get(socketId);
+    if (pending?.timer) clearTimeout(pending.timer);
+    this.pendingPointers.delete(socketId);
+  }
+
+  // Who made a change, for the op log and undo journals
+  authorOf(socket) {
+    return { socketId: socket.id, userId: socket.data.user?.id || null };
+  }
+
+  // The sender reverts these locally, someone else holds the claim
+  emitRejected(socket, room, rejected) {
+    if (rejected.length === 0) return;
+    socket.emit('update-rejected', {
+      elementIds: rejected,
+      reason: 'claimed',
+      elements: room.elements.filter(el => rejected.includes(el.id))
+    });
+  }
+
+  async handleRevert(socket, roomId, stack) {
+    const result = await roomService.revertOperation(roomId, this.authorOf(socket), stack);
+    if (!result) {
+      throw new AppError(`Nothing to ${stack}`, { code: `NOTHING_TO_${stack.toUpperCase()}`, status: 409 });
+    }
+
+    // Everyone, the caller included, applies the change like any incremental update
+    this.io.to(roomId).emit('incremental-update', {
+      added: result.added,
+      updated: result.updated,
+      deleted: [],
+      version: result.room.version,
+      source: { type: stack, socketId: socket.id }
+    });
+
+    if (result.conflicts.length > 0 || result.rejected.length > 0) {
+      socket.emit(`${stack}-partial`, { skippedElementIds: result.conflicts, rejected: result.rejected });
+    }
+    return { version: result.room.version, skippedElementIds: result.conflicts, rejected: result.rejected };
+  }
+
+  /**
+   * Runs a mutating event for an editor of the socket's room and acks
+   * { ok: true, opId, version, ... } or { ok: false, opId, error: { code, message, details? } }.
+   * With an `opId` in the payload the event is applied once, replays get the
+   * first ack again (with `duplicate: true`) and nothing is broadcast twice.
+   * Without an ack callback errors still go to the `error` event.
+   */
+  async applyMutation(socket, event, data, ack, apply) {
+    // undo / redo may come with just a callback
+    if (typeof data === 'function') {
+      ack = data;
+      data = {};
+    }
+    const reply = typeof ack === 'function' ? ack : null;
+    const opId = typeof data?.opId === 'string' && data.opId ? data.opId : null;
+
+    try {
+      validate(opIdSchema, { opId: data?.opId });
+      const roomId = this.socketRoomMap.get(socket.id);
+      if (!roomId) throw notInRoom();
+      if (!hasRole(await this.refreshRole(socket, roomId), 'editor')) throw readOnly();
+
+      const result = await opReceiptService.once(roomId, opId, () => apply(roomId));
+      if (result.duplicate) {
+        console.log(`${event} ${opId} already applied, acking again`);
+      }
+      reply?.({ ok: true, opId: opId, ...result });
+    } catch (error) {
+      console.error(`${event} error:`, error.message);
+      if (reply) {
+        reply({ ok: false, opId: opId, error: serializeError(error) });
+      } else {
+        this.emitError(socket, error);
+      }
+    }
+  }
+
+  // Roles change while sockets stay connected (members demoted or removed,
+  // share links revoked), so mutations resolve the role from the room as it is now
+  async refreshRole(socket, roomId) {
+    const room = await roomService.getRoom(roomId, false);
+    const { shareToken } = socket.data;
+    const shareRole = room ? authService.resolveShareRole(room, shareToken) : null;
+
+    socket.data.role = !room || (shareToken && !shareRole)
+      ? null
+      : authService.resolveRoomRole(room, socket.data.user, shareRole);
+    return socket.data.role;
+  }
+
+  // After a role change, this node's sockets in the room that lost access
+  // are removed from it. Sockets on other nodes are checked on their next mutation.
+  async revalidateRoom(roomId) {
+    const sockets = [...this.socketRoomMap]
+      .filter(([, id]) => id === roomId)
+      .map(([socketId]) => this.io.sockets.sockets.get(socketId))
+      .filter(Boolean);
+
+    for (const socket of sockets) {
+      try {
+        if (hasRole(await this.refreshRole(socket, roomId), 'viewer')) continue;
+
+        this.emitError(socket, new AppError('Insufficient room permissions', { code: 'FORBIDDEN', status: 403 }));
+        await this.handleLeaveRoom(socket);
+      } catch (error) {
+        console.error('Error revalidating room access:', error);
+      }
+    }
+  }
+
+  // Errors reach the client as { code, message, details? } on the `error` event
+  emitError(socket, error) {
+    socket.emit('error', serializeError(error));
+  }
+
+  buildSceneInit(room) {
+    const users = room.activeUsers.map(u => ({
+      userId: u.userId,
+      username: u.username,
+      color: u.color,
+      connections: u.connections.length,
+      selectedElementIds: u.selectedElementIds,
+      claimedElementIds: u.claimedElementIds
+    }));
+
+    if (room.encrypted) {
+      // Clients decrypt the scene, then apply the updates in order
+      return {
+        encrypted: true,
+        scene: room.encryptedScene,
+        updates: room.encryptedUpdates,
+        files: roomService.getFilesMeta(room),
+        version: room.version,
+        users
+      };
+    }
+
+    return {
+      elements: room.elements,
+      appState: room.appState,
+      version: room.version,
+      files: roomService.getFilesMeta(room),
+      libraryItems: room.libraryItems,
+      users
+    };
+  }
+
+  // Pushes a fresh scene to everyone in the room, e.g. after a restore or import
+  broadcastSceneInit(roomId, room) {
+    this.io.to(roomId).emit('scene-init', this.buildSceneInit(room));
+  }
+
+  // Tells peers a new image can be fetched from GET /api/rooms/:roomId/files/:fileId
+  broadcastFileAdded(roomId, meta) {
+    this.io.to(roomId).emit('file-added', meta);
   }
 
   // Admin/utility methods
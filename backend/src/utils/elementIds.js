@@ -0,0 +1,41 @@
+import { nanoid } from 'nanoid';
+
+// Gives every element (and group) a new id and rewrites the references between
+// them: groupIds, boundElements, containerId, start/end bindings and frameId.
+// References to elements outside the given list are dropped.
+export const regenerateElementIds = (elements) => {
+  const idMap = new Map(elements.map(el => [el.id, nanoid()]));
+  const groupIdMap = new Map();
+
+  const mapGroupId = (groupId) => {
+    if (!groupIdMap.has(groupId)) groupIdMap.set(groupId, nanoid());
+    return groupIdMap.get(groupId);
+  };
+
+  const mapBinding = (binding) => (
+    binding && idMap.has(binding.elementId) ? { ...binding, elementId: idMap.get(binding.elementId) } : null
+  );
+
+  return elements.map(el => {
+    const copy = { ...el, id: idMap.get(el.id) };
+
+    if (Array.isArray(el.groupIds)) {
+      copy.groupIds = el.groupIds.map(mapGroupId);
+    }
+    if (Array.isArray(el.boundElements)) {
+      copy.boundElements = el.boundElements
+        .filter(bound => idMap.has(bound.id))
+        .map(bound => ({ ...bound, id: idMap.get(bound.id) }));
+    }
+    if (el.containerId) {
+      copy.containerId = idMap.get(el.containerId) || null;
+    }
+    if (el.frameId) {
+      copy.frameId = idMap.get(el.frameId) || null;
+    }
+    if ('startBinding' in el) copy.startBinding = mapBinding(el.startBinding);
+    if ('endBinding' in el) copy.endBinding = mapBinding(el.endBinding);
+
+    return copy;
+  });
+};
@@ -0,0 +1,46 @@
+// Errors carrying a machine readable code, sent as-is to REST and socket clients
+export class AppError extends Error {
+  constructor(message, { code = 'BAD_REQUEST', status = 400, details = null } = {}) {
+    super(message);
+    this.name = 'AppError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+export class ValidationError extends AppError {
+  constructor(message, details = []) {
+    super(message, { code: 'VALIDATION_FAILED', status: 422, details });
+    this.name = 'ValidationError';
+  }
+}
+
+// Shape shared by the socket `error` event and REST error bodies.
+// Other errors (mongoose, redis) may have their own `code`, so only ours are trusted.
+export const serializeError = (error) => {
+  if (!(error instanceof AppError)) {
+    return { code: 'BAD_REQUEST', message: error.message };
+  }
+
+  return {
+    code: error.code,
+    message: error.message,
+    ...(error.details ? { details: error.details } : {})
+  };
+};
+
+export const errorStatus = (error, fallback = 400) => (
+  error instanceof AppError ? error.status : fallback
+);
+
+// Express error response, e.g. 422 with the failing fields for validation errors
+export const sendError = (res, error) => {
+  const { code, message, details } = serializeError(error);
+  res.status(errorStatus(error)).json({
+    success: false,
+    error: message,
+    code,
+    ...(details ? { details } : {})
+  });
+};
@@ -0,0 +1,112 @@
+// Same rule as Excalidraw's reconcileElements: the higher version wins and a
+// version tie goes to the lower versionNonce, so every peer picks the same element.
+const shouldKeepStored = (stored, incoming) => {
+  const storedVersion = stored.version || 0;
+  const incomingVersion = incoming.version || 0;
+
+  if (storedVersion !== incomingVersion) {
+    return storedVersion > incomingVersion;
+  }
+  return (stored.versionNonce || 0) <= (incoming.versionNonce || 0);
+};
+
+// Merges incoming elements into the stored ones by id. Order follows the incoming
+// array (it carries the sender's z-index), stored elements it doesn't mention are kept at the end.
+export const reconcileElements = (storedElements = [], incomingElements = []) => {
+  const storedById = new Map(storedElements.map(el => [el.id, el]));
+  const seen = new Set();
+  const reconciled = [];
+
+  for (const incoming of incomingElements) {
+    if (!incoming?.id || seen.has(incoming.id)) continue;
+    seen.add(incoming.id);
+
+    const stored = storedById.get(incoming.id);
+    reconciled.push(stored && shouldKeepStored(stored, incoming) ? stored : incoming);
+  }
+
+  for (const stored of storedElements) {
+    if (!seen.has(stored.id)) {
+      reconciled.push(stored);
+    }
+  }
+
+  return reconciled;
+};
+
+/**
+ * Reconciles an added/updated/deleted diff against the stored elements with the
+ * rule of reconcileElements. Added and updated entries are both upserts: for an
+ * id that is already stored they are updates, and they only win over a stored
+ * element that is older. Entries without a version are patches applied as they
+ * are, updates of elements that aren't stored have nothing to apply to.
+ * Returns the diff of the entries that take effect and the ids of the `stale` ones.
+ */
+export const reconcileDiff = (storedElements = [], { added = [], updated = [], deleted = [] } = {}) => {
+  const storedById = new Map(storedElements.map(el => [el.id, el]));
+  const result = { added: [], updated: [], deleted: [...deleted], stale: [] };
+  const seen = new Set();
+
+  const entries = added.map(el => [el, true]).concat(updated.map(el => [el, false]));
+  for (const [incoming, isAdded] of entries) {
+    if (!incoming?.id || seen.has(incoming.id)) continue;
+    seen.add(incoming.id);
+
+    const stored = storedById.get(incoming.id);
+    if (!stored) {
+      if (isAdded) result.added.push(incoming);
+      else result.stale.push(incoming.id);
+    } else if (Number.isInteger(incoming.version) && shouldKeepStored(stored, incoming)) {
+      result.stale.push(incoming.id);
+    } else {
+      result.updated.push(incoming);
+    }
+  }
+
+  return result;
+};
+
+// Splits `next` into elements that are new or at another version than in `previous`
+export const diffElements = (previous = [], next = []) => {
+  const versions = new Map(previous.map(el => [el.id, el.version]));
+  return {
+    added: next.filter(el => !versions.has(el.id)),
+    updated: next.filter(el => versions.has(el.id) && versions.get(el.id) !== el.version)
+  };
+};
+
+const randomNonce = () => Math.floor(Math.random() * 2 ** 31);
+
+// Bumps each element past the version currently stored for its id, so peers
+// accept it over what they have
+export const bumpElements = (currentElements = [], elements = []) => {
+  const currentById = new Map(currentElements.map(el => [el.id, el]));
+
+  return elements.map(el => {
+    const current = currentById.get(el.id);
+    const baseVersion = Math.max(el.version || 0, current?.version || 0);
+    return { ...el, version: baseVersion + 1, versionNonce: randomNonce(), updated: Date.now() };
+  });
+};
+
+// Rewrites the scene to `targetElements` in a way peers will accept: target
+// elements are bumped and current elements missing from the target become
+// deleted tombstones. Used when the server replaces a scene (restore, import),
+// since older versions would lose reconciliation.
+export const supersedeElements = (currentElements = [], targetElements = []) => {
+  const targetIds = new Set(targetElements.map(el => el.id));
+  const superseded = bumpElements(currentElements, targetElements);
+
+  for (const current of currentElements) {
+    if (targetIds.has(current.id) || current.isDeleted) continue;
+    superseded.push({
+      ...current,
+      isDeleted: true,
+      version: (current.version || 0) + 1,
+      versionNonce: randomNonce(),
+      updated: Date.now()
+    });
+  }
+
+  return superseded;
+};
@@ -0,0 +1,217 @@
+// Server-side SVG rendering of an Excalidraw scene. Shapes are drawn with clean
+// strokes (no rough.js sketchiness) and hachure/cross-hatch fills as solid
+// fills, which is close enough for embedding boards in docs and reports.
+
+const FONT_FAMILIES = {
+  1: 'Virgil, Segoe UI Emoji, sans-serif',
+  2: 'Helvetica, Arial, Segoe UI Emoji, sans-serif',
+  3: 'Cascadia, Consolas, monospace'
+};
+
+const LINE_HEIGHT = 1.25;
+const ARROWHEAD_LENGTH = 15;
+const ARROWHEAD_ANGLE = Math.PI / 7;
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const num = (value, fallback = 0) => (Number.isFinite(value) ? Math.round(value * 100) / 100 : fallback);
+
+const attrs = (map) => Object.entries(map)
+  .filter(([, value]) => value !== undefined && value !== null)
+  .map(([key, value]) => `${key}="${escapeXml(value)}"`)
+  .join(' ');
+
+const strokeAttrs = (el) => {
+  const width = el.strokeWidth || 1;
+  const dash = {
+    dashed: `${8 * width} ${8 * width}`,
+    dotted: `${1.5 * width} ${6 * width}`
+  }[el.strokeStyle];
+
+  return {
+    stroke: el.strokeColor || '#000000',
+    'stroke-width': width,
+    'stroke-dasharray': dash,
+    'stroke-linecap': 'round',
+    'stroke-linejoin': 'round'
+  };
+};
+
+const fillColor = (el) => (
+  !el.backgroundColor || el.backgroundColor === 'transparent' ? 'none' : el.backgroundColor
+);
+
+const linearPoints = (el) => (Array.isArray(el.points) && el.points.length > 0 ? el.points : [[0, 0]]);
+
+// Bounds in scene coordinates, ignoring rotation
+const elementBounds = (el) => {
+  if (Array.isArray(el.points) && el.points.length > 0) {
+    const xs = el.points.map(p => el.x + p[0]);
+    const ys = el.points.map(p => el.y + p[1]);
+    return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+  }
+  return [el.x, el.y, el.x + (el.width || 0), el.y + (el.height || 0)];
+};
+
+export const getSceneBounds = (elements) => {
+  if (elements.length === 0) return [0, 0, 0, 0];
+
+  return elements.map(elementBounds).reduce(
+    ([minX, minY, maxX, maxY], [x1, y1, x2, y2]) => [
+      Math.min(minX, x1), Math.min(minY, y1), Math.max(maxX, x2), Math.max(maxY, y2)
+    ],
+    [Infinity, Infinity, -Infinity, -Infinity]
+  );
+};
+
+const arrowhead = (el, from, to) => {
+  const angle = Math.atan2(to[1] - from[1], to[0] - from[0]);
+  const wing = (sign) => [
+    num(to[0] - ARROWHEAD_LENGTH * Math.cos(angle + sign * ARROWHEAD_ANGLE)),
+    num(to[1] - ARROWHEAD_LENGTH * Math.sin(angle + sign * ARROWHEAD_ANGLE))
+  ];
+  const [a, b] = [wing(1), wing(-1)];
+
+  return `<path ${attrs({
+    d: `M ${a[0]} ${a[1]} L ${num(to[0])} ${num(to[1])} L ${b[0]} ${b[1]}`,
+    fill: 'none',
+    ...strokeAttrs(el),
+    'stroke-dasharray': undefined
+  })}/>`;
+};
+
+const renderLinear = (el) => {
+  const points = linearPoints(el);
+  const d = points.map((p, i) => `${i === 0 ? 'M' : 'L'} ${num(p[0])} ${num(p[1])}`).join(' ');
+  const closed = el.type === 'line' && points.length > 2
+    && points[0][0] === points[points.length - 1][0]
+    && points[0][1] === points[points.length - 1][1];
+
+  const parts = [`<path ${attrs({
+    d,
+    fill: closed ? fillColor(el) : 'none',
+    ...strokeAttrs(el)
+  })}/>`];
+
+  if (el.type === 'arrow' && points.length > 1) {
+    if (el.endArrowhead !== null) {
+      parts.push(arrowhead(el, points[points.length - 2], points[points.length - 1]));
+    }
+    if (el.startArrowhead) {
+      parts.push(arrowhead(el, points[1], points[0]));
+    }
+  }
+  return parts.join('');
+};
+
+const renderText = (el) => {
+  const fontSize = el.fontSize || 20;
+  const lines = String(el.text ?? '').split('\n');
+  const anchor = { center: 'middle', right: 'end' }[el.textAlign] || 'start';
+  const x = { middle: (el.width || 0) / 2, end: el.width || 0 }[anchor] || 0;
+
+  const tspans = lines.map((line, i) => `<tspan ${attrs({
+    x: num(x),
+    y: num(fontSize * LINE_HEIGHT * i)
+  })}>${escapeXml(line)}</tspan>`).join('');
+
+  return `<text ${attrs({
+    'font-family': FONT_FAMILIES[el.fontFamily] || FONT_FAMILIES[1],
+    'font-size': fontSize,
+    fill: el.strokeColor || '#000000',
+    'text-anchor': anchor,
+    'dominant-baseline': 'text-before-edge',
+    'xml:space': 'preserve'
+  })}>${tspans}</text>`;
+};
+
+const renderShape = (el, files) => {
+  const width = num(el.width);
+  const height = num(el.height);
+
+  switch (el.type) {
+    case 'rectangle':
+    case 'frame':
+      return `<rect ${attrs({
+        width,
+        height,
+        rx: el.roundness ? Math.min(width, height) / 4 : undefined,
+        fill: el.type === 'frame' ? 'none' : fillColor(el),
+        ...strokeAttrs(el)
+      })}/>`;
+    case 'ellipse':
+      return `<ellipse ${attrs({
+        cx: width / 2,
+        cy: height / 2,
+        rx: width / 2,
+        ry: height / 2,
+        fill: fillColor(el),
+        ...strokeAttrs(el)
+      })}/>`;
+    case 'diamond':
+      return `<polygon ${attrs({
+        points: `${width / 2},0 ${width},${height / 2} ${width / 2},${height} 0,${height / 2}`,
+        fill: fillColor(el),
+        ...strokeAttrs(el)
+      })}/>`;
+    case 'line':
+    case 'arrow':
+    case 'freedraw':
+      return renderLinear(el);
+    case 'text':
+      return renderText(el);
+    case 'image': {
+      const file = el.fileId ? files[el.fileId] : null;
+      if (!file?.dataURL) {
+        // Placeholder for images whose content isn't available
+        return `<rect ${attrs({ width, height, fill: '#f1f3f5', stroke: '#ced4da' })}/>`;
+      }
+      return `<image ${attrs({ width, height, href: file.dataURL, preserveAspectRatio: 'none' })}/>`;
+    }
+    default:
+      return '';
+  }
+};
+
+/**
+ * Renders the visible elements as a standalone SVG document.
+ * `files` maps fileId to { dataURL } for image elements.
+ */
+export const renderSceneToSvg = (elements, { files = {}, backgroundColor = '#ffffff', padding = 10 } = {}) => {
+  const visible = elements.filter(el => el && !el.isDeleted);
+  const [minX, minY, maxX, maxY] = getSceneBounds(visible);
+  const width = num(maxX - minX + padding * 2);
+  const height = num(maxY - minY + padding * 2);
+  const offsetX = padding - minX;
+  const offsetY = padding - minY;
+
+  const body = visible.map((el) => {
+    const shape = renderShape(el, files);
+    if (!shape) return '';
+
+    const x = num(el.x + offsetX);
+    const y = num(el.y + offsetY);
+    const rotate = el.angle
+      ? ` rotate(${num((el.angle * 180) / Math.PI)} ${num((el.width || 0) / 2)} ${num((el.height || 0) / 2)})`
+      : '';
+
+    return `<g ${attrs({
+      transform: `translate(${x} ${y})${rotate}`,
+      opacity: el.opacity !== undefined && el.opacity !== 100 ? el.opacity / 100 : undefined
+    })}>${shape}</g>`;
+  }).join('\n');
+
+  const background = backgroundColor
+    ? `<rect ${attrs({ width, height, fill: backgroundColor })}/>\n`
+    : '';
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" ${attrs({
+    width,
+    height,
+    viewBox: `0 0 ${width} ${height}`
+  })}>\n${background}${body}\n</svg>\n`;
+};
@@ -1,4 +1,12 @@
 import Joi from 'joi';
+import { ValidationError } from './errors.js';
+
+// Soft mode (default) logs and lets invalid payloads through, strict mode rejects them
+let strictMode = false;
+
+export const configureValidation = ({ strict = false } = {}) => {
+  strictMode = strict;
+};
 
 export const roomIdSchema = Joi.object({
   roomId: Joi.string()
@@ -7,7 +15,124 @@ export const roomIdSchema = Joi.object({
     .required()
 });
 
-export const elementSchema = Joi.object({
+export const snapshotIdSchema = Joi.object({
+  snapshotId: Joi.string()
+    .hex()
+    .length(24)
+    .required()
+});
+
+export const memberSchema = Joi.object({
+  userId: Joi.string().min(1).max(100).required(),
+  role: Joi.string().valid('viewer', 'editor').required()
+});
+
+export const shareLinkSchema = Joi.object({
+  role: Joi.string().valid('viewer', 'editor').required()
+});
+
+export const templateSchema = Joi.object({
+  name: Joi.string().trim().max(100).allow('', null)
+});
+
+export const cloneRoomSchema = Joi.object({
+  roomId: Joi.string().min(1).max(100),
+  freshIds: Joi.boolean().default(false)
+});
+
+export const roomListQuerySchema = Joi.object({
+  q: Joi.string().trim().max(200).allow(''),
+  // a user id, or `me` for the caller
+  owner: Joi.string().max(100),
+  tag: Joi.string().trim().lowercase().max(32),
+  active: Joi.boolean(),
+  status: Joi.string().valid('active', 'archived', 'trashed'),
+  sort: Joi.string().valid('lastModified', 'createdAt', 'relevance').default('lastModified'),
+  order: Joi.string().valid('asc', 'desc').default('desc'),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+export const roomMetadataSchema = Joi.object({
+  title: Joi.string().trim().max(200).allow(''),
+  description: Joi.string().trim().max(2000).allow(''),
+  tags: Joi.array().items(Joi.string().trim().lowercase().min(1).max(32)).max(20)
+}).or('title', 'description', 'tags');
+
+// Image types Excalidraw accepts for image elements, files are served back as these
+export const IMAGE_MIME_TYPES = [
+  'image/png', 'image/jpeg', 'image/svg+xml', 'image/gif', 'image/webp',
+  'image/bmp', 'image/x-icon', 'image/avif', 'image/jfif'
+];
+
+export const fileIdSchema = Joi.object({
+  fileId: Joi.string().min(1).max(200).required()
+});
+
+export const fileUploadSchema = Joi.object({
+  dataURL: Joi.string().pattern(/^data:/).required(),
+  mimeType: Joi.string().valid(...IMAGE_MIME_TYPES).required(),
+  created: Joi.number().allow(null)
+}).unknown(true);
+
+export const WEBHOOK_EVENTS = ['room.created', 'room.deleted', 'user.joined', 'user.left', 'scene.changed'];
+
+// http is allowed so a local stand-in can receive the events during development
+export const webhookSchema = Joi.object({
+  url: Joi.string().uri({ scheme: ['http', 'https'] }).max(2000).required(),
+  events: Joi.array().items(Joi.string().valid('*', ...WEBHOOK_EVENTS)).min(1).max(WEBHOOK_EVENTS.length + 1).default(['*']),
+  secret: Joi.string().min(16).max(200),
+  description: Joi.string().trim().max(200).allow('')
+});
+
+export const deliveriesQuerySchema = Joi.object({
+  status: Joi.string().valid('pending', 'delivered', 'failed'),
+  limit: Joi.number().integer().min(1).max(200).default(50)
+});
+
+export const opsQuerySchema = Joi.object({
+  since: Joi.number().integer().min(0).default(0),
+  limit: Joi.number().integer().min(1).max(1000).default(500)
+});
+
+export const exportQuerySchema = Joi.object({
+  format: Joi.string().valid('excalidraw', 'json', 'svg', 'png').default('excalidraw'),
+  background: Joi.boolean().default(true),
+  scale: Joi.number().min(0.1).max(4).default(1)
+});
+
+export const guestTokenSchema = Joi.object({
+  username: Joi.string().max(50).allow('', null)
+});
+
+const displayNameSchema = Joi.string().trim().min(1).max(50);
+const colorSchema = Joi.string().pattern(/^#[0-9a-fA-F]{6}$/);
+
+// Anonymous identity, the device id is the only credential so it has to be long
+export const deviceAuthSchema = Joi.object({
+  deviceId: Joi.string().min(16).max(128),
+  name: displayNameSchema,
+  color: colorSchema
+});
+
+export const registerSchema = Joi.object({
+  username: Joi.string().trim().pattern(/^[a-zA-Z0-9_.-]+$/).min(3).max(50).required(),
+  password: Joi.string().min(8).max(200).required(),
+  name: displayNameSchema,
+  color: colorSchema
+});
+
+export const loginSchema = Joi.object({
+  username: Joi.string().max(50).required(),
+  password: Joi.string().max(200).required()
+});
+
+export const profileSchema = Joi.object({
+  name: displayNameSchema,
+  color: colorSchema
+}).or('name', 'color');
+
+const baseElementSchema = Joi.object({
   id: Joi.string().required(),
   type: Joi.string().required(),
   x: Joi.number().allow(null, NaN),
@@ -35,8 +160,52 @@ export const elementSchema = Joi.object({
   locked: Joi.boolean().default(false)
 }).unknown(true);
 
+const pointSchema = Joi.array().ordered(Joi.number().required(), Joi.number().required());
+
+const textElementSchema = baseElementSchema.keys({
+  text: Joi.string().allow('').required(),
+  originalText: Joi.string().allow('', null),
+  fontSize: Joi.number().positive().allow(null),
+  fontFamily: Joi.number().allow(null),
+  textAlign: Joi.string().allow('', null),
+  verticalAlign: Joi.string().allow('', null),
+  containerId: Joi.string().allow(null)
+});
+
+const linearElementSchema = baseElementSchema.keys({
+  points: Joi.array().items(pointSchema).min(1).required(),
+  lastCommittedPoint: pointSchema.allow(null),
+  startBinding: Joi.any().allow(null),
+  endBinding: Joi.any().allow(null),
+  startArrowhead: Joi.string().allow(null),
+  endArrowhead: Joi.string().allow(null),
+  pressures: Joi.array().items(Joi.number())
+});
+
+const imageElementSchema = baseElementSchema.keys({
+  // null while the image is still being inserted
+  fileId: Joi.string().max(200).allow(null).required(),
+  status: Joi.string().valid('pending', 'saved', 'error').allow(null),
+  scale: pointSchema.allow(null)
+});
+
+export const elementSchema = Joi.alternatives().conditional('.type', {
+  switch: [
+    { is: 'text', then: textElementSchema },
+    { is: Joi.valid('arrow', 'line', 'freedraw'), then: linearElementSchema },
+    { is: 'image', then: imageElementSchema }
+  ],
+  otherwise: baseElementSchema
+});
+
 export const elementsArraySchema = Joi.array().items(elementSchema).max(20000);
 
+// join-room fields of a client coming back after a disconnect
+export const resumeSchema = Joi.object({
+  lastVersion: Joi.number().integer().min(0),
+  pendingElements: elementsArraySchema
+}).unknown(true);
+
 export const appStateSchema = Joi.object({
   viewBackgroundColor: Joi.string().allow('', null),
   gridSize: Joi.number().allow(null),
@@ -58,6 +227,59 @@ export const incrementalUpdateSchema = Joi.object({
   deleted: Joi.array().items(Joi.string())
 }).or('added', 'updated', 'deleted');
 
+const binaryFileSchema = Joi.object({
+  id: Joi.string().required(),
+  mimeType: Joi.string().valid(...IMAGE_MIME_TYPES).required(),
+  dataURL: Joi.string().pattern(/^data:/).required(),
+  created: Joi.number().allow(null)
+}).unknown(true);
+
+export const excalidrawFileSchema = Joi.object({
+  type: Joi.string().valid('excalidraw').required(),
+  version: Joi.number(),
+  source: Joi.string().allow('', null),
+  elements: elementsArraySchema.required(),
+  appState: appStateSchema.allow(null),
+  files: Joi.object().pattern(Joi.string(), binaryFileSchema).allow(null)
+}).unknown(true);
+
+const libraryItemSchema = Joi.object({
+  id: Joi.string().required(),
+  status: Joi.string().valid('published', 'unpublished'),
+  elements: elementsArraySchema.required(),
+  created: Joi.number(),
+  name: Joi.string().allow('', null)
+}).unknown(true);
+
+// v2 libraries have libraryItems, v1 a plain `library` array of element arrays
+export const excalidrawLibSchema = Joi.object({
+  type: Joi.string().valid('excalidrawlib').required(),
+  version: Joi.number(),
+  libraryItems: Joi.array().items(libraryItemSchema),
+  library: Joi.array().items(elementsArraySchema)
+}).or('libraryItems', 'library').unknown(true);
+
+export const importSchema = Joi.object({
+  scene: excalidrawFileSchema,
+  libraries: Joi.array().items(excalidrawLibSchema).max(50),
+  mode: Joi.string().valid('merge', 'replace').default('merge')
+}).or('scene', 'libraries');
+
+const encryptedBlobSchema = Joi.object({
+  ciphertext: Joi.string().base64().max(14 * 1024 * 1024).required(),
+  iv: Joi.string().base64().max(64).required()
+});
+
+// scene-update / incremental-update payload for end-to-end encrypted rooms
+export const encryptedUpdateSchema = Joi.object({
+  encrypted: encryptedBlobSchema.required()
+}).unknown(true);
+
+// Client chosen id of a mutating socket event, replays with the same id are applied once
+export const opIdSchema = Joi.object({
+  opId: Joi.string().min(1).max(100)
+});
+
 export const pointerSchema = Joi.object({
   x: Joi.number().required(),
   y: Joi.number().required(),
@@ -65,12 +287,23 @@ export const pointerSchema = Joi.object({
   button: Joi.string().allow(null)
 }).unknown(true);
 
+export const idleStatusSchema = Joi.object({
+  idle: Joi.boolean().required()
+});
+
+export const selectionSchema = Joi.object({
+  selectedElementIds: Joi.array().items(Joi.string()).max(20000).required(),
+  claim: Joi.boolean().default(false)
+});
+
 export const userJoinSchema = Joi.object({
   username: Joi.string().allow('', null),
   color: Joi.string().allow('', null)
 }).unknown(true);
 
-export const validate = (schema, data) => {
+// `strict` rejects invalid data whatever the configured mode, for input
+// that must never be taken as is (credentials)
+export const validate = (schema, data, { strict = strictMode } = {}) => {
   const { error, value } = schema.validate(data, {
     abortEarly: false,
     stripUnknown: false, // Keep original data if possible
@@ -78,8 +311,16 @@ export const validate = (schema, data) => {
   });
 
   if (error) {
+    if (strict) {
+      throw new ValidationError('Invalid payload', error.details.map(d => ({
+        path: d.path.join('.'),
+        message: d.message,
+        type: d.type
+      })));
+    }
+
     console.warn('Validation warning (soft):', error.message);
-    // Don't throw for now, just return the data to keep the app running
+    // Soft mode, return the data to keep the app running
     return data;
   }
 
@@ -0,0 +1,115 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Room from '../src/models/Room.js';
+import roomService from '../src/services/roomService.js';
+
+// listRooms builds a MongoDB query, the stubbed model records what it gets
+// and answers with `found`
+let calls;
+let found;
+
+Room.find = (filter) => {
+  const call = { filter };
+  calls.push(call);
+  const chain = {
+    select: () => chain,
+    sort: (sort) => { call.sort = sort; return chain; },
+    skip: (skip) => { call.skip = skip; return chain; },
+    limit: (limit) => { call.limit = limit; return chain; },
+    lean: async () => found
+  };
+  return chain;
+};
+Room.countDocuments = async () => found.length;
+
+beforeEach(() => {
+  calls = [];
+  found = [];
+});
+
+test('without options, rooms the caller can access are listed newest first, trashed ones left out', async () => {
+  const access = { ownerId: 'user-1' };
+  const result = await roomService.listRooms({}, { access });
+
+  const [{ filter, sort, skip, limit }] = calls;
+  assert.deepEqual(filter, { $and: [access, { status: { $ne: 'trashed' } }] });
+  assert.deepEqual(sort, { lastModified: -1, _id: -1 });
+  assert.equal(skip, 0);
+  assert.equal(limit, 20);
+  assert.deepEqual(result, { rooms: [], total: 0, page: 1, limit: 20 });
+});
+
+test('filters, search and paging end up in the query', async () => {
+  await roomService.listRooms({
+    q: ' flow chart ',
+    status: 'archived',
+    owner: 'user-2',
+    tag: ' Design ',
+    active: 'true',
+    sort: 'relevance',
+    page: '3',
+    limit: '10'
+  });
+
+  const [{ filter, sort, skip, limit }] = calls;
+  assert.deepEqual(filter, {
+    $and: [
+      {},
+      { status: 'archived' },
+      { ownerId: 'user-2' },
+      { tags: 'design' },
+      { 'activeUsers.0': { $exists: true } }
+    ],
+    $text: { $search: 'flow chart' }
+  });
+  assert.deepEqual(sort, { score: { $meta: 'textScore' }, lastModified: -1 });
+  assert.equal(skip, 20);
+  assert.equal(limit, 10);
+});
+
+test('query values that are not plain strings are ignored', async () => {
+  await roomService.listRooms({
+    q: { $ne: null },
+    owner: { $ne: 'user-1' },
+    tag: ['a', 'b'],
+    status: { $in: ['trashed'] },
+    active: 'maybe'
+  });
+
+  const [{ filter }] = calls;
+  assert.deepEqual(filter, { $and: [{}, { status: { $ne: 'trashed' } }] });
+});
+
+test('paging is clamped and sorting falls back to lastModified', async () => {
+  await roomService.listRooms({ page: '-2', limit: '5000', sort: 'relevance', order: 'asc' });
+  await roomService.listRooms({ sort: 'createdAt' });
+
+  assert.equal(calls[0].skip, 0);
+  assert.equal(calls[0].limit, 100);
+  assert.deepEqual(calls[0].sort, { lastModified: 1, _id: 1 });
+  assert.deepEqual(calls[1].sort, { createdAt: -1, _id: -1 });
+});
+
+test('rooms are listed with their summary fields only', async () => {
+  found = [{
+    roomId: 'room-1',
+    appState: { name: 'Sketch' },
+    ownerId: 'user-1',
+    encrypted: false,
+    isTemplate: false,
+    status: 'active',
+    pinned: true,
+    activeUsers: [{ userId: 'a' }, { userId: 'b' }],
+    version: 7,
+    elements: [{ id: 'el' }]
+  }];
+
+  const { rooms, total } = await roomService.listRooms({});
+
+  assert.equal(total, 1);
+  assert.equal(rooms[0].name, 'Sketch');
+  assert.equal(rooms[0].title, '');
+  assert.deepEqual(rooms[0].tags, []);
+  assert.equal(rooms[0].activeUsers, 2);
+  assert.equal(rooms[0].elements, undefined);
+});
@@ -0,0 +1,110 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import persistenceQueue from '../src/services/persistenceQueue.js';
+
+const DELAY_MS = 20;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A room document whose save() resolves, or rejects while `failures` is above 0
+const fakeRoom = (roomId, { failures = 0, saveMs = 0 } = {}) => {
+  const room = {
+    roomId,
+    saves: 0,
+    failures,
+    save: async () => {
+      room.saves++;
+      if (saveMs) await sleep(saveMs);
+      if (room.failures > 0) {
+        room.failures--;
+        throw new Error('save failed');
+      }
+    }
+  };
+  return room;
+};
+
+before(() => {
+  persistenceQueue.configure({ delayMs: DELAY_MS });
+});
+
+test('a burst of changes is saved once, with the latest document', async () => {
+  const first = fakeRoom('burst');
+  const latest = fakeRoom('burst');
+
+  persistenceQueue.schedule(first);
+  persistenceQueue.schedule(first);
+  persistenceQueue.schedule(latest);
+  assert.equal(persistenceQueue.getStats().pendingRooms, 1);
+
+  await sleep(DELAY_MS * 3);
+  assert.equal(first.saves, 0);
+  assert.equal(latest.saves, 1);
+  assert.equal(persistenceQueue.getStats().pendingRooms, 0);
+});
+
+test('flush saves pending changes right away', async () => {
+  const room = fakeRoom('flushed');
+
+  persistenceQueue.schedule(room);
+  await persistenceQueue.flush('flushed');
+  assert.equal(room.saves, 1);
+
+  await sleep(DELAY_MS * 3);
+  assert.equal(room.saves, 1);
+});
+
+test('saves of a room run one after another', async () => {
+  const order = [];
+  const slow = persistenceQueue.run('serial', async () => {
+    await sleep(DELAY_MS);
+    order.push('slow');
+  });
+  const fast = persistenceQueue.run('serial', async () => order.push('fast'));
+
+  await Promise.all([slow, fast]);
+  assert.deepEqual(order, ['slow', 'fast']);
+});
+
+test('a failed save is retried, at most three times in all', async () => {
+  const recovers = fakeRoom('recovers', { failures: 1 });
+  const broken = fakeRoom('broken', { failures: 10 });
+
+  persistenceQueue.schedule(recovers);
+  persistenceQueue.schedule(broken);
+  await sleep(DELAY_MS * 8);
+
+  assert.equal(recovers.saves, 2);
+  assert.equal(broken.saves, 3);
+  assert.equal(persistenceQueue.getStats().pendingRooms, 0);
+});
+
+test('changes queued during a failed save go out with one more save', async () => {
+  const room = fakeRoom('superseded', { failures: 1, saveMs: DELAY_MS });
+
+  persistenceQueue.schedule(room);
+  await sleep(DELAY_MS * 1.5); // save in flight
+  persistenceQueue.schedule(room);
+
+  await sleep(DELAY_MS * 6);
+  assert.equal(room.saves, 2);
+});
+
+test('a save over a newer version of the room is skipped, not retried', async () => {
+  const filters = [];
+  const room = fakeRoom('outdated');
+  room.version = 4;
+  room.save = async () => {
+    room.saves++;
+    filters.push(room.$where);
+    // What Mongoose throws when the $where filter matches nothing
+    throw Object.assign(new Error('No document found'), { name: 'DocumentNotFoundError' });
+  };
+
+  persistenceQueue.schedule(room);
+  await persistenceQueue.flush('outdated');
+  await sleep(DELAY_MS * 3);
+
+  assert.equal(room.saves, 1);
+  assert.deepEqual(filters, [{ version: { $lte: 4 } }]);
+});
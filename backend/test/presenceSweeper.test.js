@@ -0,0 +1,93 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import ServerInstance from '../src/models/ServerInstance.js';
+import Room from '../src/models/Room.js';
+import roomService from '../src/services/roomService.js';
+import presenceSweeper from '../src/services/presenceSweeper.js';
+import { memoryModel } from './support/memoryModel.js';
+
+// The sweeper against an in-memory node registry. Rooms come from a stub and
+// evictions are recorded instead of applied.
+const instances = memoryModel(ServerInstance);
+
+const STALE_AFTER_MS = 60000;
+const NODE_ID = 'node-self';
+
+let rooms;
+let evictions;
+let emitted;
+
+Room.find = () => ({ select: () => ({ lean: async () => rooms }) });
+roomService.evictUsers = async (roomId, socketIds) => {
+  evictions.push({ roomId, socketIds });
+  return { left: ['user-gone'] };
+};
+
+// socket.io server with the given sockets connected to this node
+const fakeIo = (socketIds) => ({
+  sockets: { sockets: new Map(socketIds.map(id => [id, {}])) },
+  to: (roomId) => ({ emit: (event, data) => emitted.push({ roomId, event, data }) })
+});
+
+const ago = (ms) => new Date(Date.now() - ms);
+
+beforeEach(() => {
+  instances.length = 0;
+  rooms = [];
+  evictions = [];
+  emitted = [];
+});
+
+test('connections without a live socket or node are evicted', async () => {
+  await ServerInstance.create({ nodeId: 'node-live', lastHeartbeat: new Date() });
+  await ServerInstance.create({ nodeId: 'node-crashed', lastHeartbeat: ago(2 * STALE_AFTER_MS) });
+
+  rooms = [{
+    roomId: 'room-1',
+    activeUsers: [
+      {
+        userId: 'user-a',
+        lastActive: new Date(),
+        connections: [
+          { socketId: 'local-live', nodeId: NODE_ID },
+          { socketId: 'local-gone', nodeId: NODE_ID }
+        ]
+      },
+      {
+        userId: 'user-b',
+        lastActive: new Date(),
+        connections: [
+          { socketId: 'remote-live', nodeId: 'node-live' },
+          { socketId: 'remote-crashed', nodeId: 'node-crashed' },
+          { socketId: 'remote-unknown', nodeId: 'node-never-registered' }
+        ]
+      },
+      { userId: 'user-c', lastActive: new Date(), connections: [{ socketId: 'legacy-fresh', nodeId: null }] },
+      { userId: 'user-d', lastActive: ago(2 * STALE_AFTER_MS), connections: [{ socketId: 'legacy-stale', nodeId: null }] }
+    ]
+  }, {
+    roomId: 'room-2',
+    activeUsers: [{ userId: 'user-e', lastActive: new Date(), connections: [{ socketId: 'other-live', nodeId: 'node-live' }] }]
+  }];
+
+  presenceSweeper.io = fakeIo(['local-live']);
+  presenceSweeper.nodeId = NODE_ID;
+  presenceSweeper.staleAfterMs = STALE_AFTER_MS;
+  await presenceSweeper.sweep();
+
+  assert.deepEqual(evictions, [{
+    roomId: 'room-1',
+    socketIds: ['local-gone', 'remote-crashed', 'remote-unknown', 'legacy-stale']
+  }]);
+  assert.deepEqual(emitted, [{ roomId: 'room-1', event: 'user-left', data: { userId: 'user-gone' } }]);
+  assert.deepEqual(instances.map(i => i.nodeId), ['node-live'], 'stale nodes are deregistered');
+});
+
+test('a node registers on start and deregisters on stop', async () => {
+  await presenceSweeper.start(fakeIo([]), NODE_ID, { heartbeatMs: 60000, sweepIntervalMs: 60000 });
+  assert.deepEqual(instances.map(i => i.nodeId), [NODE_ID]);
+  assert.equal(instances[0].pid, process.pid);
+
+  await presenceSweeper.stop();
+  assert.equal(instances.length, 0);
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { reconcileElements, reconcileDiff, bumpElements } from '../src/utils/reconcile.js';
+
+const el = (id, version, versionNonce = 1, extra = {}) => ({ id, type: 'rectangle', version, versionNonce, ...extra });
+
+test('the higher version wins, stored elements the update leaves out are kept at the end', () => {
+  const stored = [el('a', 3), el('b', 1), el('c', 1)];
+  const incoming = [el('b', 2), el('a', 2)];
+
+  const result = reconcileElements(stored, incoming);
+
+  assert.deepEqual(result.map(e => e.id), ['b', 'a', 'c']);
+  assert.equal(result[0], incoming[0]);
+  assert.equal(result[1], stored[0]);
+});
+
+test('a version tie goes to the lower versionNonce, whichever side it is on', () => {
+  const stored = [el('a', 2, 50), el('b', 2, 10)];
+  const incoming = [el('a', 2, 20), el('b', 2, 30)];
+
+  const [a, b] = reconcileElements(stored, incoming);
+
+  assert.equal(a, incoming[0]);
+  assert.equal(b, stored[1]);
+  // An identical element keeps the stored copy
+  assert.equal(reconcileElements([stored[1]], [{ ...stored[1] }])[0], stored[1]);
+});
+
+test('duplicate and id-less incoming entries are skipped', () => {
+  const result = reconcileElements([], [el('a', 1), el('a', 5), { type: 'rectangle' }, null]);
+  assert.deepEqual(result, [el('a', 1)]);
+});
+
+test('diff entries older than the stored element are reported as stale', () => {
+  const stored = [el('a', 5, 10), el('b', 5, 10)];
+
+  const result = reconcileDiff(stored, { updated: [el('a', 4), el('b', 5, 20)] });
+
+  assert.deepEqual(result.updated, []);
+  assert.deepEqual(result.stale, ['a', 'b']);
+});
+
+test('added entries for ids already stored are updates', () => {
+  const stored = [el('a', 1)];
+
+  const newer = reconcileDiff(stored, { added: [el('a', 2), el('b', 1)] });
+  assert.deepEqual(newer.added, [el('b', 1)]);
+  assert.deepEqual(newer.updated, [el('a', 2)]);
+
+  const older = reconcileDiff([el('a', 3)], { added: [el('a', 2)] });
+  assert.deepEqual(older.added, []);
+  assert.deepEqual(older.stale, ['a']);
+});
+
+test('updates of unknown elements are stale, patches without a version apply as they are', () => {
+  const stored = [el('a', 7)];
+  const patch = { id: 'a', x: 10 };
+
+  const result = reconcileDiff(stored, { updated: [patch, el('missing', 1)] });
+
+  assert.deepEqual(result.updated, [patch]);
+  assert.deepEqual(result.stale, ['missing']);
+});
+
+test('deletes pass through, the first entry for an id counts', () => {
+  const result = reconcileDiff([el('a', 1)], {
+    added: [el('b', 1)],
+    updated: [el('b', 9)],
+    deleted: ['a', 'gone']
+  });
+
+  assert.deepEqual(result, { added: [el('b', 1)], updated: [], deleted: ['a', 'gone'], stale: [] });
+});
+
+test('bumped elements win over both their own version and the stored one', () => {
+  const current = [el('a', 10)];
+  const [bumped, fresh] = bumpElements(current, [el('a', 4, 1, { x: 5 }), el('b', 2)]);
+
+  assert.equal(bumped.version, 11);
+  assert.equal(bumped.x, 5);
+  assert.equal(fresh.version, 3);
+  assert.equal(reconcileElements(current, [bumped])[0], bumped);
+});
@@ -0,0 +1,68 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import RoomOperation from '../src/models/RoomOperation.js';
+import opLogService from '../src/services/opLogService.js';
+import roomService from '../src/services/roomService.js';
+import { memoryModel } from './support/memoryModel.js';
+
+// getChangesSince against an in-memory op log. The room is a plain object
+// with the elements as they are after the logged ops.
+const ops = memoryModel(RoomOperation);
+
+const el = (id, version) => ({ id, type: 'rectangle', version });
+
+let room;
+
+// Moves the room to its next version and logs the change like roomService does
+const log = async (changes) => {
+  room.version += 1;
+  await opLogService.append(room, 'incremental', changes);
+};
+
+beforeEach(() => {
+  ops.length = 0;
+  room = { roomId: 'resume-room', encrypted: false, version: 1, elements: [] };
+});
+
+test('a client up to date gets nothing, one from the future gets the full scene', async () => {
+  assert.deepEqual(await roomService.getChangesSince(room, 1), { elements: [], deleted: [] });
+  assert.equal(await roomService.getChangesSince(room, 2), null);
+});
+
+test('elements changed since the client version come in their current state, removed ones as deleted', async () => {
+  room.elements = [el('a', 1), el('b', 1), el('c', 1)];
+  await log({ added: [el('d', 1)] });
+  await log({ updated: [el('a', 2)], deleted: ['c'] });
+  await log({ updated: [el('a', 3)] });
+  room.elements = [el('a', 3), el('b', 1), el('d', 1)];
+
+  const fromStart = await roomService.getChangesSince(room, 1);
+  assert.deepEqual(fromStart.elements, [el('d', 1), el('a', 3)]);
+  assert.deepEqual(fromStart.deleted, ['c']);
+
+  const fromLast = await roomService.getChangesSince(room, 3);
+  assert.deepEqual(fromLast, { elements: [el('a', 3)], deleted: [] });
+});
+
+test('a gap in the op log sends the client the full scene', async () => {
+  await log({ added: [el('a', 1)] });
+  room.version += 1; // a change that was never logged
+  await log({ added: [el('b', 1)] });
+
+  assert.equal(await roomService.getChangesSince(room, 1), null);
+  assert.notEqual(await roomService.getChangesSince(room, 3), null);
+});
+
+test('ops not reaching the room version send the client the full scene', async () => {
+  await log({ added: [el('a', 1)] });
+  room.version += 1; // logged after the client joins
+
+  assert.equal(await roomService.getChangesSince(room, 1), null);
+});
+
+test('encrypted rooms always get the full scene', async () => {
+  room.encrypted = true;
+  await log({ added: [el('a', 1)] });
+
+  assert.equal(await roomService.getChangesSince(room, 1), null);
+});
@@ -0,0 +1,91 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { Server } from 'socket.io';
+import { io as connect } from 'socket.io-client';
+import SocketHandler from '../src/sockets/socketHandler.js';
+import roomService from '../src/services/roomService.js';
+
+// Runs the real socket handler against an in-memory room, roomService is
+// stubbed where it would reach the database
+const room = {
+  roomId: 'acks-room',
+  encrypted: false,
+  elements: [],
+  appState: {},
+  files: new Map(),
+  libraryItems: [],
+  activeUsers: [],
+  version: 1
+};
+
+let applied = 0;
+roomService.getRoom = async () => room;
+roomService.addUser = async () => ({ room, joined: true });
+roomService.removeUser = async () => ({ room, left: null });
+roomService.incrementalUpdate = async (roomId, diff) => {
+  applied++;
+  room.version += 1;
+  return { room, updates: diff, rejected: [] };
+};
+
+let httpServer;
+let server;
+let client;
+
+before(async () => {
+  httpServer = createServer();
+  server = new Server(httpServer);
+  const handler = new SocketHandler(server);
+  server.on('connection', socket => handler.handleConnection(socket));
+  await new Promise(resolve => httpServer.listen(0, resolve));
+
+  client = connect(`http://localhost:${httpServer.address().port}`, { transports: ['websocket'] });
+  const joined = new Promise(resolve => client.once('scene-init', resolve));
+  client.emit('join-room', { roomId: room.roomId, user: { username: 'tester' } });
+  await joined;
+});
+
+after(async () => {
+  client.close();
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  applied = 0;
+});
+
+const element = { id: 'el-1', type: 'rectangle', x: 0, y: 0, width: 10, height: 10, version: 1, versionNonce: 1 };
+
+test('a replayed opId is applied once and acked with the first result', async () => {
+  const payload = { opId: 'op-replayed', added: [element] };
+
+  const first = await client.timeout(2000).emitWithAck('incremental-update', payload);
+  const replay = await client.timeout(2000).emitWithAck('incremental-update', payload);
+
+  assert.equal(applied, 1);
+  assert.equal(first.ok, true);
+  assert.equal(first.opId, 'op-replayed');
+  assert.equal(replay.duplicate, true);
+  const { duplicate, ...replayAck } = replay;
+  assert.deepEqual(replayAck, first);
+});
+
+test('concurrent replays wait for the first one', async () => {
+  const payload = { opId: 'op-concurrent', added: [{ ...element, id: 'el-2' }] };
+
+  const acks = await Promise.all([
+    client.timeout(2000).emitWithAck('incremental-update', payload),
+    client.timeout(2000).emitWithAck('incremental-update', payload)
+  ]);
+
+  assert.equal(applied, 1);
+  assert.equal(acks[0].version, acks[1].version);
+});
+
+test('operations with different opIds are each applied', async () => {
+  await client.timeout(2000).emitWithAck('incremental-update', { opId: 'op-a', added: [{ ...element, id: 'el-3' }] });
+  await client.timeout(2000).emitWithAck('incremental-update', { opId: 'op-b', added: [{ ...element, id: 'el-4' }] });
+
+  assert.equal(applied, 2);
+});
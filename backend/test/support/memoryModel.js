@@ -0,0 +1,104 @@
+// Just enough of the Mongoose model API for services to run without MongoDB:
+// equality, $or, $in and comparison filters, $set updates (with upsert) and
+// single key sorts. Documents get the schema defaults, results are copies
+// like lean() ones.
+
+const isOperators = (cond) => cond !== null && typeof cond === 'object' && !(cond instanceof Date) && !Array.isArray(cond);
+
+const matchValue = (value, expected) => (Array.isArray(value) ? value.includes(expected) : value === expected);
+
+const matches = (doc, filter) => Object.entries(filter).every(([key, cond]) => {
+  if (key === '$or') return cond.some(sub => matches(doc, sub));
+
+  const value = doc[key] ?? null;
+  if (!isOperators(cond)) return matchValue(value, cond);
+
+  return Object.entries(cond).every(([op, arg]) => {
+    if (op === '$in') return arg.some(expected => matchValue(value, expected));
+    if (op === '$lt') return value !== null && value < arg;
+    if (op === '$lte') return value !== null && value <= arg;
+    if (op === '$gt') return value !== null && value > arg;
+    if (op === '$gte') return value !== null && value >= arg;
+    throw new Error(`memoryModel: unsupported operator ${op}`);
+  });
+});
+
+const sortDocs = (docs, sort) => {
+  const [[field, direction] = []] = Object.entries(sort || {});
+  if (!field) return docs;
+  return [...docs].sort((a, b) => (a[field] > b[field] ? direction : a[field] < b[field] ? -direction : 0));
+};
+
+// Chainable and awaitable like a Mongoose query
+const query = (run) => {
+  let sort = null;
+  let limit = Infinity;
+  const chain = {
+    select: () => chain,
+    lean: () => chain,
+    sort: (value) => { sort = value; return chain; },
+    limit: (value) => { limit = value; return chain; },
+    then: (resolve, reject) => Promise.resolve()
+      .then(() => run({ sort, limit }))
+      .then(resolve, reject)
+  };
+  return chain;
+};
+
+const copy = (doc) => (doc ? { ...doc } : null);
+
+export const memoryModel = (Model) => {
+  const docs = [];
+
+  const build = (data) => {
+    const now = new Date();
+    return { ...new Model(data).toObject(), createdAt: now, updatedAt: now };
+  };
+
+  const apply = (doc, update) => Object.assign(doc, update.$set, { updatedAt: new Date() });
+
+  Object.assign(Model, {
+    create: async (data) => {
+      const doc = build(data);
+      docs.push(doc);
+      return copy(doc);
+    },
+    insertMany: async (list) => {
+      const created = list.map(build);
+      docs.push(...created);
+      return created.map(copy);
+    },
+    find: (filter = {}) => query(({ sort, limit }) => sortDocs(docs.filter(doc => matches(doc, filter)), sort)
+      .slice(0, limit)
+      .map(copy)),
+    findOne: (filter = {}) => query(() => copy(docs.find(doc => matches(doc, filter)))),
+    findOneAndUpdate: (filter, update, { sort } = {}) => query(() => {
+      const [doc] = sortDocs(docs.filter(d => matches(d, filter)), sort);
+      return doc ? copy(apply(doc, update)) : null;
+    }),
+    updateOne: async (filter, update, { upsert } = {}) => {
+      const doc = docs.find(d => matches(d, filter));
+      if (doc) apply(doc, update);
+      else if (upsert) docs.push(build({ ...filter, ...update.$set }));
+      return { modifiedCount: doc ? 1 : 0 };
+    },
+    updateMany: async (filter, update) => {
+      const found = docs.filter(d => matches(d, filter));
+      found.forEach(doc => apply(doc, update));
+      return { modifiedCount: found.length };
+    },
+    deleteOne: async (filter) => {
+      const index = docs.findIndex(d => matches(d, filter));
+      if (index !== -1) docs.splice(index, 1);
+      return { deletedCount: index === -1 ? 0 : 1 };
+    },
+    deleteMany: async (filter) => {
+      const kept = docs.filter(d => !matches(d, filter));
+      const deletedCount = docs.length - kept.length;
+      docs.splice(0, docs.length, ...kept);
+      return { deletedCount };
+    }
+  });
+
+  return docs;
+};
@@ -0,0 +1,76 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import undoService from '../src/services/undoService.js';
+
+const ROOM = 'undo-room';
+const el = (id, version, extra = {}) => ({ id, type: 'rectangle', version, x: 0, ...extra });
+
+// Applies a change like an incremental update and records it for `actor`
+const change = (elements, actor, next) => {
+  const ids = next.map(e => e.id);
+  const changesOf = undoService.capture(elements, ids);
+  const byId = new Map(next.map(e => [e.id, e]));
+  const result = elements.map(e => byId.get(e.id) || e)
+    .concat(next.filter(e => !elements.some(current => current.id === e.id)));
+  undoService.record(ROOM, actor, changesOf(result));
+  return result;
+};
+
+// Applies reverted elements and commits them, like revertOperation
+const apply = (elements, revert) => {
+  const byId = new Map(revert.elements.map(e => [e.id, e]));
+  revert.commit(revert.elements);
+  return elements.map(e => byId.get(e.id) || e);
+};
+
+beforeEach(() => {
+  undoService.clearRoom(ROOM);
+});
+
+test('undo restores the previous state and redo brings the change back', () => {
+  let elements = [el('a', 1)];
+  elements = change(elements, 'alice', [el('a', 2, { x: 50 })]);
+
+  const undo = undoService.revert(ROOM, 'alice', 'undo', elements);
+  assert.deepEqual(undo.conflicts, []);
+  assert.deepEqual(undo.elements, [{ isDeleted: false, ...el('a', 1) }]);
+  elements = apply(elements, undo);
+
+  const redo = undoService.revert(ROOM, 'alice', 'redo', elements);
+  assert.equal(redo.elements[0].x, 50);
+  assert.equal(undoService.revert(ROOM, 'alice', 'redo', elements), null);
+});
+
+test('undoing an added element turns it into a tombstone', () => {
+  const elements = change([], 'alice', [el('new', 1)]);
+
+  const undo = undoService.revert(ROOM, 'alice', 'undo', elements);
+  assert.equal(undo.elements.length, 1);
+  assert.equal(undo.elements[0].id, 'new');
+  assert.equal(undo.elements[0].isDeleted, true);
+});
+
+test('elements changed by someone else since are reported as conflicts', () => {
+  let elements = [el('a', 1), el('b', 1)];
+  elements = change(elements, 'alice', [el('a', 2), el('b', 2)]);
+  elements = change(elements, 'bob', [el('b', 3)]);
+
+  const undo = undoService.revert(ROOM, 'alice', 'undo', elements);
+  assert.deepEqual(undo.elements.map(e => e.id), ['a']);
+  assert.deepEqual(undo.conflicts, ['b']);
+});
+
+test('journals are per user, a new change clears the redo stack', () => {
+  let elements = [el('a', 1)];
+  elements = change(elements, 'alice', [el('a', 2)]);
+  assert.equal(undoService.revert(ROOM, 'bob', 'undo', elements), null);
+
+  elements = apply(elements, undoService.revert(ROOM, 'alice', 'undo', elements));
+  elements = change(elements, 'alice', [el('a', 5)]);
+  assert.equal(undoService.revert(ROOM, 'alice', 'redo', elements), null);
+});
+
+test('changes without an actor are not recorded', () => {
+  change([el('a', 1)], null, [el('a', 2)]);
+  assert.equal(undoService.revert(ROOM, null, 'undo', [el('a', 2)]), null);
+});
@@ -0,0 +1,173 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { createServer } from 'http';
+import express from 'express';
+import apiRoutes from '../src/routes/api.js';
+import Webhook from '../src/models/Webhook.js';
+import WebhookDelivery from '../src/models/WebhookDelivery.js';
+import webhookService, { isPrivateAddress } from '../src/services/webhookService.js';
+import { memoryModel } from './support/memoryModel.js';
+
+// The real routes and delivery queue against in-memory models, deliveries go
+// to local HTTP stand-ins that answer with the given statuses in turn
+memoryModel(Webhook);
+memoryModel(WebhookDelivery);
+
+const RETRY_BASE_MS = 40;
+
+let api;
+let apiUrl;
+const standIns = [];
+
+const listen = (server) => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+
+const createStandIn = async (statuses) => {
+  const requests = [];
+  const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body, at: Date.now() });
+      res.writeHead(statuses[Math.min(requests.length, statuses.length) - 1]);
+      res.end();
+    });
+  });
+  standIns.push(server);
+  return { url: `http://127.0.0.1:${await listen(server)}/hook`, requests };
+};
+
+const request = async (method, path, body) => {
+  const response = await fetch(`${apiUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body && JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const waitFor = async (check, timeoutMs = 3000) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error('timed out waiting');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+const deliveriesOf = async (webhookId) => (await request('GET', `/api/webhooks/${webhookId}/deliveries`)).body.data;
+
+const verify = (secret, { headers, body }) => {
+  const expected = crypto.createHmac('sha256', secret).update(`${headers['x-horizon-timestamp']}.${body}`).digest('hex');
+  return headers['x-horizon-signature'] === `sha256=${expected}`;
+};
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', apiRoutes);
+  api = createServer(app);
+  apiUrl = `http://127.0.0.1:${await listen(api)}`;
+
+  webhookService.configure({ retryBaseMs: RETRY_BASE_MS, pollIntervalMs: 10, timeoutMs: 1000 });
+  webhookService.start();
+});
+
+after(async () => {
+  await webhookService.stop();
+  await Promise.all([api, ...standIns].map(server => new Promise(resolve => server.close(resolve))));
+});
+
+test('private addresses are refused unless allowed', async () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '169.254.169.254', '192.168.0.10', '::1', 'fd00::1', '::ffff:127.0.0.1']) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+  assert.equal(isPrivateAddress('93.184.216.34'), false);
+
+  const { url } = await createStandIn([200]);
+  const response = await request('POST', '/api/webhooks', { url });
+  assert.equal(response.status, 422);
+  assert.equal(response.body.code, 'WEBHOOK_URL_FORBIDDEN');
+});
+
+test('a registered webhook gets a signed delivery, retried after a non-2xx response', async () => {
+  webhookService.configure({ allowPrivate: true });
+  const standIn = await createStandIn([500, 200]);
+
+  const created = await request('POST', '/api/webhooks', { url: standIn.url, events: ['room.created'] });
+  assert.equal(created.status, 201);
+  const { webhookId, secret } = created.body.data;
+  assert.ok(secret);
+
+  const ping = await request('POST', `/api/webhooks/${webhookId}/test`);
+  assert.equal(ping.status, 202);
+
+  const [delivery] = await waitFor(async () => {
+    const deliveries = await deliveriesOf(webhookId);
+    return deliveries[0]?.status === 'delivered' && deliveries;
+  });
+  assert.equal(delivery.attempts, 2);
+  assert.equal(delivery.responseStatus, 200);
+  assert.equal(delivery.lastError, null);
+
+  assert.equal(standIn.requests.length, 2);
+  for (const req of standIn.requests) {
+    assert.ok(verify(secret, req), 'signature matches');
+    assert.equal(req.headers['x-horizon-event'], 'ping');
+    assert.equal(req.headers['x-horizon-delivery'], ping.body.data.deliveryId);
+    assert.equal(JSON.parse(req.body).data.webhookId, webhookId);
+  }
+  assert.ok(!verify('another-secret', standIn.requests[0]));
+  assert.ok(standIn.requests[1].at - standIn.requests[0].at >= RETRY_BASE_MS, 'retried after the backoff');
+});
+
+test('deliveries back off exponentially and fail after maxAttempts', async () => {
+  webhookService.configure({ allowPrivate: true, maxAttempts: 3 });
+  const standIn = await createStandIn([503]);
+
+  const created = await request('POST', '/api/webhooks', { url: standIn.url, events: ['room.created'] });
+  const { webhookId } = created.body.data;
+
+  webhookService.emit('room.created', 'room-1', { ownerId: null, encrypted: false });
+
+  const [delivery] = await waitFor(async () => {
+    const deliveries = await deliveriesOf(webhookId);
+    return deliveries[0]?.status === 'failed' && deliveries;
+  });
+  assert.equal(delivery.event, 'room.created');
+  assert.equal(delivery.attempts, 3);
+  assert.equal(delivery.responseStatus, 503);
+  assert.equal(delivery.lastError, 'HTTP 503');
+
+  const [first, second, third] = standIn.requests.map(req => req.at);
+  assert.equal(standIn.requests.length, 3);
+  assert.ok(second - first >= RETRY_BASE_MS);
+  assert.ok(third - second >= 2 * RETRY_BASE_MS);
+  assert.equal(webhookService.backoff(4), 8 * RETRY_BASE_MS);
+});
+
+test('webhook payloads are validated strictly', async () => {
+  const created = await request('POST', '/api/webhooks', { url: 'https://example.com/hook', events: ['room.nope'] });
+  assert.equal(created.status, 422);
+  assert.equal(created.body.code, 'VALIDATION_FAILED');
+});
+
+test('events queued after a webhook was removed are not delivered', async () => {
+  webhookService.configure({ allowPrivate: true });
+  const standIn = await createStandIn([200]);
+
+  const created = await request('POST', '/api/webhooks', { url: standIn.url, events: ['room.created'] });
+  const { webhookId } = created.body.data;
+  assert.equal((await request('DELETE', `/api/webhooks/${webhookId}`)).status, 200);
+
+  // Targets looked up before the removal
+  const [{ deliveryId }] = await webhookService.enqueue('room.created', 'room-2', {}, [{ webhookId }]);
+
+  const delivery = await waitFor(async () => {
+    const found = await WebhookDelivery.findOne({ deliveryId });
+    return found?.status === 'failed' && found;
+  });
+  assert.equal(delivery.lastError, 'Webhook removed');
+  assert.equal(standIn.requests.length, 0);
+});